@@ -0,0 +1,10 @@
+// run by jest-setup-files-after-env.spec.js in a separate jest process with the course config
+describe("fixture", () => {
+  it("leaves a rejection behind", () => {
+    Promise.reject(new Error("forgotten await"));
+  });
+
+  it("passes", () => {
+    expect(true).toEqual(true);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { canUseCommands, parseCommand, parseExplainArgs } from "./commands.js";
+
+const PR = { number: 7, user: { login: "student" } };
+
+// answers getCollaboratorPermissionLevel from a login -> permission map; unknown logins are not collaborators
+function createOctokit(permissions) {
+  const requests = [];
+  return {
+    requests,
+    repos: {
+      getCollaboratorPermissionLevel: async ({ username }) => {
+        requests.push(username);
+        if (!(username in permissions)) throw Object.assign(new Error("Not Found"), { status: 404 });
+        return { data: { permission: permissions[username] } };
+      },
+    },
+  };
+}
+
+describe("commands", () => {
+  describe("parseCommand", () => {
+    it("parses a command with its arguments", () => {
+      assert.deepEqual(parseCommand("/review"), { name: "review", args: "" });
+      assert.deepEqual(parseCommand("  /explain 123 Почему?\nИ ещё вопрос  "), { name: "explain", args: "123 Почему?\nИ ещё вопрос" });
+    });
+
+    it("ignores unknown commands", () => {
+      assert.equal(parseCommand("/approve"), null);
+      assert.equal(parseCommand("/reviewer please"), null);
+      assert.equal(parseCommand("/Review"), null);
+      assert.equal(parseCommand(""), null);
+      assert.equal(parseCommand(null), null);
+    });
+
+    it("ignores commands that are not at the start of the comment", () => {
+      assert.equal(parseCommand("> /review\n\nЗапустил ревью ещё раз"), null);
+      assert.equal(parseCommand("Напиши /review, чтобы запустить ревью"), null);
+      assert.equal(parseCommand("```\n/ignore\n```"), null);
+    });
+  });
+
+  describe("parseExplainArgs", () => {
+    it("takes the comment id from a link or a bare id", () => {
+      assert.deepEqual(
+        parseExplainArgs("https://github.com/owner/repo/pull/1#discussion_r123 Почему так лучше?"),
+        { commentId: 123, question: "Почему так лучше?" }
+      );
+      assert.deepEqual(parseExplainArgs("456"), { commentId: 456, question: "" });
+      assert.equal(parseExplainArgs("https://github.com/owner/repo/pull/1"), null);
+    });
+  });
+
+  describe("canUseCommands", () => {
+    it("accepts the PR author without asking for permissions", async () => {
+      const octokit = createOctokit({});
+
+      assert.equal(await canUseCommands(octokit, "course", "tasks", PR, { login: "student", type: "User" }), true);
+      assert.deepEqual(octokit.requests, []);
+    });
+
+    it("accepts mentors with write access and rejects other commenters", async () => {
+      const octokit = createOctokit({ mentor: "write", admin: "admin", reader: "read" });
+      const check = (login) => canUseCommands(octokit, "course", "tasks", PR, { login, type: "User" });
+
+      assert.equal(await check("mentor"), true);
+      assert.equal(await check("admin"), true);
+      assert.equal(await check("reader"), false);
+      assert.equal(await check("classmate"), false);
+    });
+
+    it("rejects bots and a missing user", async () => {
+      const octokit = createOctokit({ "reviewer[bot]": "write" });
+
+      assert.equal(await canUseCommands(octokit, "course", "tasks", PR, { login: "reviewer[bot]", type: "Bot" }), false);
+      assert.equal(await canUseCommands(octokit, "course", "tasks", PR, null), false);
+    });
+
+    it("passes on errors other than a missing collaborator", async () => {
+      const octokit = {
+        repos: {
+          getCollaboratorPermissionLevel: async () => {
+            throw Object.assign(new Error("Server Error"), { status: 500 });
+          },
+        },
+      };
+
+      await assert.rejects(canUseCommands(octokit, "course", "tasks", PR, { login: "mentor", type: "User" }), /Server Error/);
+    });
+  });
+});
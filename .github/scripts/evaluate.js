@@ -0,0 +1,367 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadModuleRegistry } from "./module-registry.js";
+import { estimateTokens } from "./prompt-budget.js";
+import { createProvider, resolveProviderConfig } from "./providers.js";
+import {
+  findingsToModelComments,
+  generateMergedReview,
+  normalizeReviewComments,
+  prepareReviewContext,
+} from "./review.js";
+import { loadReviewerConfig } from "./reviewer-config.js";
+import { findConceptUsages } from "./scope-check.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const DEFAULT_FIXTURES_DIR = path.join(ROOT_DIR, ".github", "eval", "fixtures");
+const DEFAULT_OUT_DIR = path.join(ROOT_DIR, "results", "eval");
+const RUSSIAN_RATIO = 0.6; // share of Cyrillic letters (outside code) for a text to count as Russian
+const DUPLICATE_OVERLAP = 0.5; // share of common word stems for two comments on the same lines
+const FINDING_DUPLICATE_OVERLAP = 0.25; // automatic findings are long templated texts, so less is enough
+const AUTOMATIC_PREFIX = "🤖 Автоматическая проверка: ";
+const RECALL_LINE_DISTANCE = 3; // how far from the expected line a comment may be
+const METRICS = ["anchoring", "language", "scope", "duplicates", "recall"];
+
+const USAGE = `Usage:
+  node .github/scripts/evaluate.js run [--fixtures <dir>] [--provider mock|env] [--label <name>] [--out <file>]
+  node .github/scripts/evaluate.js compare <baseline.json> <candidate.json> [--out <file>]
+
+run      reviews every golden PR fixture (.github/eval/fixtures/*.json) with the
+         full pipeline and scores the result. --provider mock (default) replays the
+         fixture's recorded mockResponse; env uses the model from REVIEWER_* variables.
+         The result is written to results/eval/<label>.json.
+compare  builds a markdown report of two run results, e.g. two prompt versions.`;
+
+/**
+ * @typedef {Object} EvalFixture
+ * @property {string} description
+ * @property {Array<{filename: string, status: string, patch?: string}>} changedFiles
+ *           a missing `patch` means the whole file is added
+ * @property {Object<string, string>} files  contents of the changed files and task READMEs by path
+ * @property {Array<{id: string, path: string, line?: number, keywords: string[]}>} expected
+ *           issues a good review mentions; a comment matches when it is on the path, near the
+ *           line (if given) and contains one of the keywords
+ * @property {Object} mockResponse  recorded model response for `--provider mock`
+ */
+
+function toAddedPatch(content) {
+  const lines = content.split("\n");
+  return [`@@ -0,0 +1,${lines.length} @@`, ...lines.map((line) => `+${line}`)].join("\n");
+}
+
+async function loadFixtures(dir) {
+  const names = (await fs.readdir(dir)).filter((name) => name.endsWith(".json")).sort();
+  const fixtures = [];
+
+  for (const name of names) {
+    const fixture = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+    fixture.name = path.basename(name, ".json");
+    fixture.changedFiles = fixture.changedFiles.map((file) => ({
+      ...file,
+      patch: file.patch ?? (file.status === "removed" ? "" : toAddedPatch(fixture.files[file.filename] || "")),
+    }));
+    fixtures.push(fixture);
+  }
+
+  return fixtures;
+}
+
+function createFixtureReader(fixture) {
+  return async (filePath) => {
+    if (!(filePath in fixture.files)) throw new Error(`${filePath} is not part of fixture ${fixture.name}`);
+    return fixture.files[filePath];
+  };
+}
+
+function createMockProvider(fixture) {
+  return {
+    name: "mock",
+    model: "mock",
+    async generate() {
+      return JSON.stringify(fixture.mockResponse);
+    },
+  };
+}
+
+function stripCode(text) {
+  return text.replace(/```[\s\S]*?```/g, " ").replace(/`[^`]*`/g, " ");
+}
+
+function isRussian(text) {
+  const prose = stripCode(text);
+  const cyrillic = (prose.match(/[а-яё]/gi) || []).length;
+  const latin = (prose.match(/[a-z]/gi) || []).length;
+  return cyrillic > 0 && cyrillic / (cyrillic + latin) >= RUSSIAN_RATIO;
+}
+
+// first five letters of every word: enough to match Russian word forms without a stemmer
+function toStems(text) {
+  const words = text
+    .replace(AUTOMATIC_PREFIX, "")
+    .replace(/^Строк[аи] [\d-]+: /, "")
+    .toLowerCase()
+    .match(/[a-zа-яё]{4,}/g) || [];
+  return new Set(words.map((word) => word.slice(0, 5)));
+}
+
+function rangesOverlap(a, b) {
+  return a.path === b.path && a.start <= b.end && b.start <= a.end;
+}
+
+function countDuplicates(comments) {
+  const stems = comments.map((comment) => toStems(comment.body));
+  let duplicates = 0;
+
+  comments.forEach((comment, index) => {
+    const isDuplicate = comments.slice(0, index).some((other, otherIndex) => {
+      if (!rangesOverlap(comment, other)) return false;
+      const common = [...stems[index]].filter((stem) => stems[otherIndex].has(stem)).length;
+      const threshold = [comment, other].some(({ body }) => body.includes(AUTOMATIC_PREFIX))
+        ? FINDING_DUPLICATE_OVERLAP
+        : DUPLICATE_OVERLAP;
+      return common / Math.max(1, Math.min(stems[index].size, stems[otherIndex].size)) >= threshold;
+    });
+    if (isDuplicate) duplicates += 1;
+  });
+
+  return duplicates;
+}
+
+// forbidden concepts of the module used in code examples of the comments
+function countScopeViolations(comments, registry) {
+  return comments.filter(({ path: filePath, body }) => {
+    const forbidden = registry[filePath.split("/")[0]]?.forbidden || [];
+    const blocks = [...body.matchAll(/```(?:js|javascript)?\n([\s\S]*?)```/g)].map((match) => match[1]);
+
+    return blocks.some((code) => {
+      try {
+        return findConceptUsages(code, forbidden).length > 0;
+      } catch (err) {
+        return false; // fragments of code are not always valid programs
+      }
+    });
+  }).length;
+}
+
+function matchesExpected(issue, candidates) {
+  const keywords = issue.keywords.map((keyword) => keyword.toLowerCase());
+
+  return candidates.some(({ path: filePath, start, end, body }) => {
+    if (filePath && filePath !== issue.path) return false;
+    if (filePath && issue.line && (issue.line < start - RECALL_LINE_DISTANCE || issue.line > end + RECALL_LINE_DISTANCE)) {
+      return false;
+    }
+    const text = body.toLowerCase();
+    return keywords.some((keyword) => text.includes(keyword));
+  });
+}
+
+function ratio(part, total) {
+  return total === 0 ? 1 : part / total;
+}
+
+function toRange(comment) {
+  return { path: comment.path, start: comment.start_line ?? comment.line, end: comment.line, body: comment.body };
+}
+
+/**
+ * Runs one fixture through the reviewer pipeline (context, model, anchoring)
+ * and scores the review that would have been posted.
+ */
+async function evaluateFixture(fixture, provider, { registry, config }) {
+  const readFile = createFixtureReader(fixture);
+  const context = await prepareReviewContext(readFile, fixture.changedFiles, { config });
+  if (!context) throw new Error("no coursework modules in the changed files");
+
+  const { changedFiles, fileContents, findings, parts } = context;
+  const { review } = await generateMergedReview(provider, parts, config.review);
+  if (!review) throw new Error("the model response did not pass schema validation");
+
+  const modelOnly = normalizeReviewComments(review.comments, fileContents, changedFiles);
+  const exactlyAnchored = modelOnly.comments.filter((comment) => !/^Строк[аи] [\d-]+: /.test(comment.body)).length;
+
+  const posted = normalizeReviewComments(
+    [...findingsToModelComments(findings), ...review.comments], fileContents, changedFiles
+  );
+  const inline = posted.comments.map(toRange);
+  const notes = posted.generalNotes.map(({ path: filePath, start, end, body }) => ({ path: filePath, start, end, body }));
+  const modelTexts = [review.general, ...review.comments.map(({ comment }) => comment)].filter(Boolean);
+  const modelRanges = [...modelOnly.comments.map(toRange), ...modelOnly.generalNotes];
+
+  const missed = fixture.expected
+    .filter((issue) => !matchesExpected(issue, [...inline, ...notes, { path: null, body: review.general }]))
+    .map(({ id }) => id);
+  const duplicates = countDuplicates([...inline, ...notes]);
+  const scopeViolations = countScopeViolations(modelRanges, registry);
+
+  return {
+    promptTokens: parts.reduce((sum, part) => sum + estimateTokens(part.prompt), 0),
+    conclusion: review.conclusion,
+    counts: {
+      modelComments: review.comments.length,
+      automaticFindings: findings.length,
+      movedToBody: modelOnly.generalNotes.length,
+      notRussian: modelTexts.filter((text) => !isRussian(text)).length,
+      scopeViolations,
+      duplicates,
+    },
+    metrics: {
+      anchoring: ratio(exactlyAnchored, review.comments.length),
+      language: ratio(modelTexts.filter(isRussian).length, modelTexts.length),
+      scope: ratio(modelRanges.length - scopeViolations, modelRanges.length),
+      duplicates: ratio(inline.length + notes.length - duplicates, inline.length + notes.length),
+      recall: ratio(fixture.expected.length - missed.length, fixture.expected.length),
+    },
+    missed,
+  };
+}
+
+function average(results, metric) {
+  const scored = results.filter((result) => result.metrics);
+  if (scored.length === 0) return null;
+  return scored.reduce((sum, result) => sum + result.metrics[metric], 0) / scored.length;
+}
+
+async function runEvaluation({ fixturesDir, providerKind, label, out }) {
+  const fixtures = await loadFixtures(fixturesDir);
+  const registry = await loadModuleRegistry();
+  const config = await loadReviewerConfig();
+  const envProvider = providerKind === "env" ? await createProvider(resolveProviderConfig(process.env, config.model)) : null;
+  const results = [];
+
+  for (const fixture of fixtures) {
+    const provider = envProvider || createMockProvider(fixture);
+    try {
+      results.push({ name: fixture.name, ...(await evaluateFixture(fixture, provider, { registry, config })) });
+    } catch (err) {
+      console.warn(`Fixture ${fixture.name} failed: ${err.message}`);
+      results.push({ name: fixture.name, error: err.message });
+    }
+  }
+
+  const summary = Object.fromEntries(METRICS.map((metric) => [metric, average(results, metric)]));
+  const report = {
+    label,
+    provider: envProvider ? `${envProvider.name} (${envProvider.model})` : "mock",
+    generatedAt: new Date().toISOString(),
+    summary,
+    fixtures: results,
+  };
+
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  await fs.writeFile(out, JSON.stringify(report, null, 2));
+
+  METRICS.forEach((metric) => console.log(`${metric.padEnd(12)} ${formatScore(summary[metric])}`));
+  console.log(`Evaluated ${results.length} fixture(s); result written to ${path.relative(process.cwd(), out)}`);
+  return results.some((result) => result.error) ? 1 : 0;
+}
+
+function formatScore(value) {
+  return value === null || value === undefined ? "—" : value.toFixed(2);
+}
+
+function formatDelta(before, after) {
+  if (before === null || after === null || before === undefined || after === undefined) return "—";
+  const delta = after - before;
+  if (Math.abs(delta) < 0.005) return "0";
+  return `${delta > 0 ? "+" : ""}${delta.toFixed(2)}`;
+}
+
+// averages are taken over the fixtures scored in both runs, so a failed fixture does not skew the comparison
+function buildComparisonReport(baseline, candidate) {
+  const baselineByName = new Map(baseline.fixtures.map((result) => [result.name, result]));
+  const isScored = (result) => result && !result.error;
+  const common = candidate.fixtures.filter((result) => isScored(result) && isScored(baselineByName.get(result.name)));
+  const commonNames = new Set(common.map(({ name }) => name));
+  const summaryOf = (run) => Object.fromEntries(
+    METRICS.map((metric) => [metric, average(run.fixtures.filter(({ name }) => commonNames.has(name)), metric)])
+  );
+  const before = summaryOf(baseline);
+  const after = summaryOf(candidate);
+
+  const lines = [
+    `# Review evaluation: ${baseline.label} → ${candidate.label}`,
+    "",
+    `Baseline: ${baseline.provider}, ${baseline.generatedAt}. Candidate: ${candidate.provider}, ${candidate.generatedAt}.`,
+    `Averages over ${common.length} fixture(s) scored in both runs.`,
+    "",
+    `| Metric | ${baseline.label} | ${candidate.label} | Δ |`,
+    "| --- | --- | --- | --- |",
+    ...METRICS.map((metric) => `| ${metric} | ${formatScore(before[metric])} | ${formatScore(after[metric])} | ${formatDelta(before[metric], after[metric])} |`),
+    "",
+    "## Fixtures",
+    "",
+    `| Fixture | ${METRICS.join(" | ")} | prompt tokens | missed issues |`,
+    `| --- | ${METRICS.map(() => "---").join(" | ")} | --- | --- |`,
+  ];
+
+  candidate.fixtures.forEach((result) => {
+    const previous = baselineByName.get(result.name);
+    if (!commonNames.has(result.name)) {
+      const reason = [
+        !previous && "missing in the baseline",
+        previous?.error && `${baseline.label}: ${previous.error}`,
+        result.error && `${candidate.label}: ${result.error}`,
+      ].filter(Boolean).join("; ");
+      lines.push(`| ${result.name} | ${reason} |`);
+      return;
+    }
+
+    const cells = METRICS.map((metric) => {
+      const delta = formatDelta(previous.metrics[metric], result.metrics[metric]);
+      return `${formatScore(result.metrics[metric])}${delta === "0" ? "" : ` (${delta})`}`;
+    });
+    const found = previous.missed.filter((id) => !result.missed.includes(id)).map((id) => `~~${id}~~`);
+    lines.push(`| ${result.name} | ${cells.join(" | ")} | ${previous.promptTokens} → ${result.promptTokens} | ${[...result.missed, ...found].join(", ") || "—"} |`);
+  });
+
+  lines.push("", "Crossed-out issues were missed by the baseline and found by the candidate.", "");
+  return lines.join("\n");
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const option = (name) => {
+    const index = rest.indexOf(name);
+    return index !== -1 ? rest[index + 1] : undefined;
+  };
+
+  if (command === "run") {
+    const label = option("--label") || "current";
+    const providerKind = option("--provider") || "mock";
+    if (!["mock", "env"].includes(providerKind)) throw new Error(`Unknown provider "${providerKind}"; use mock or env`);
+
+    return runEvaluation({
+      fixturesDir: path.resolve(option("--fixtures") || DEFAULT_FIXTURES_DIR),
+      providerKind,
+      label,
+      out: path.resolve(option("--out") || path.join(DEFAULT_OUT_DIR, `${label}.json`)),
+    });
+  }
+
+  if (command === "compare" && rest.length >= 2) {
+    const [baseline, candidate] = await Promise.all(
+      rest.slice(0, 2).map(async (file) => JSON.parse(await fs.readFile(file, "utf8")))
+    );
+    const report = buildComparisonReport(baseline, candidate);
+    const out = option("--out");
+    if (out) {
+      await fs.writeFile(out, report);
+      console.log(`Comparison written to ${out}`);
+    } else {
+      console.log(report);
+    }
+    return 0;
+  }
+
+  console.log(USAGE);
+  return command && command !== "--help" ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("Evaluation failed", error);
+    process.exit(1);
+  });
@@ -0,0 +1,82 @@
+const TASK_FILE_PATTERN = /^[0-9]{2}-[\w-]+\/[^/]+\/(.+)$/;
+const TEST_FILE_PATTERN = /(^|\/)(__tests__\/.*|[^/]+\.(test|spec)\.js)$/;
+
+const FILE_KINDS = {
+  solution: "решение задачи",
+  test: "тесты задачи",
+  readme: "описание задачи",
+  system: "системный файл",
+};
+
+/**
+ * Classifies a changed path by the rules of CONTRIBUTION.md: students may
+ * change only the `index.js` of a task, everything else belongs to the course.
+ * @returns {"solution"|"test"|"readme"|"system"}
+ */
+function classifyChangedFile(filename) {
+  const taskFile = TASK_FILE_PATTERN.exec(filename);
+  if (!taskFile) return "system";
+
+  const [, relative] = taskFile;
+  if (relative === "index.js") return "solution";
+  if (TEST_FILE_PATTERN.test(relative)) return "test";
+  if (relative === "README.md") return "readme";
+  return "system";
+}
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`);
+}
+
+function parseAllowlist(value = process.env.REVIEWER_ALLOWED_PATHS) {
+  return (value || "")
+    .split(",")
+    .map((glob) => glob.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Returns changed files that are not task solutions and are not covered by
+ * the allowlist globs: `[{ filename, kind, renamedTo? }]`. A rename also
+ * changes its old path, so moving a test or a system file into an `index.js`
+ * is reported by the path it was moved from.
+ */
+function findForbiddenChanges(changedFiles, allowlist = parseAllowlist()) {
+  const allowed = allowlist.map(globToRegExp);
+
+  return changedFiles
+    .flatMap(({ filename, status, previous_filename: previousFilename }) => {
+      const changes = [{ filename, kind: classifyChangedFile(filename) }];
+      if (status === "renamed" && previousFilename) {
+        changes.push({ filename: previousFilename, kind: classifyChangedFile(previousFilename), renamedTo: filename });
+      }
+      return changes;
+    })
+    .filter(({ filename, kind }) => kind !== "solution" && !allowed.some((re) => re.test(filename)));
+}
+
+function formatForbiddenChangesBody(forbiddenChanges) {
+  const lines = [
+    "**В PR изменены файлы, которые менять нельзя.** По правилам (см. `CONTRIBUTION.md`) можно менять только `index.js` с решением задачи. Верни эти файлы в исходное состояние, и после этого я посмотрю решение:",
+    "",
+  ];
+
+  forbiddenChanges.forEach(({ filename, kind, renamedTo }) => {
+    const rename = renamedTo ? ` (переименован в \`${renamedTo}\`)` : "";
+    lines.push(`- \`${filename}\` — ${FILE_KINDS[kind]}${rename}`);
+  });
+
+  return lines.join("\n");
+}
+
+export { classifyChangedFile, findForbiddenChanges, formatForbiddenChangesBody, globToRegExp, parseAllowlist };
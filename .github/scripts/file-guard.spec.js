@@ -0,0 +1,45 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { findForbiddenChanges, formatForbiddenChangesBody } from "./file-guard.js";
+
+describe("file-guard", () => {
+  it("allows only the solutions and the allowlisted files", () => {
+    const changedFiles = [
+      { filename: "01-intro/1-sum/index.js", status: "modified" },
+      { filename: "01-intro/1-sum/index.test.js", status: "modified" },
+      { filename: "docs/notes.md", status: "added" },
+    ];
+
+    assert.deepEqual(findForbiddenChanges(changedFiles, []), [
+      { filename: "01-intro/1-sum/index.test.js", kind: "test" },
+      { filename: "docs/notes.md", kind: "system" },
+    ]);
+    assert.deepEqual(findForbiddenChanges(changedFiles, ["01-intro/**/*.test.js", "docs/*"]), []);
+  });
+
+  it("reports the old path of a rename into a solution", () => {
+    const changedFiles = [
+      { filename: "01-intro/1-sum/index.js", status: "renamed", previous_filename: "01-intro/1-sum/index.test.js" },
+    ];
+
+    assert.deepEqual(findForbiddenChanges(changedFiles, []), [
+      { filename: "01-intro/1-sum/index.test.js", kind: "test", renamedTo: "01-intro/1-sum/index.js" },
+    ]);
+  });
+
+  it("allows renaming one solution into another", () => {
+    const changedFiles = [
+      { filename: "01-intro/2-sub/index.js", status: "renamed", previous_filename: "01-intro/1-sum/index.js" },
+    ];
+
+    assert.deepEqual(findForbiddenChanges(changedFiles, []), []);
+  });
+
+  it("mentions the new path of a renamed file", () => {
+    const body = formatForbiddenChangesBody([
+      { filename: "jest.config.js", kind: "system", renamedTo: "01-intro/1-sum/index.js" },
+    ]);
+
+    assert.match(body, /- `jest\.config\.js` — системный файл \(переименован в `01-intro\/1-sum\/index\.js`\)/);
+  });
+});
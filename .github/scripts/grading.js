@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+
+const MAX_SCORE = 5;
+
+// the five criteria of the "Review Criteria" prompt section, in the same order
+const RUBRIC = [
+  { id: "completion", title: "Выполнение задания" },
+  { id: "quality", title: "Качество кода" },
+  { id: "algorithm", title: "Алгоритм и логика" },
+  { id: "errors", title: "Обработка ошибок" },
+  { id: "testing", title: "Тестирование" },
+];
+
+// criteria that may be left without a score, e.g. when the student wrote no tests
+const OPTIONAL_CRITERIA = ["testing"];
+
+function formatGradingInstructions(tasks, language) {
+  const example = RUBRIC.map(({ id }) => `      "${id}": { "score": 0-${MAX_SCORE}, "justification": "..." }`).join(",\n");
+
+  return `
+#### Grading
+Also grade every task of this PR against the review criteria above and add a "grades" field to the JSON response:
+"grades": {
+  "${tasks[0]}": {
+${example}
+  }
+}
+
+- Grade exactly these tasks: ${tasks.join(", ")}.
+- Criteria: "completion" (task completion), "quality" (code quality), "algorithm" (algorithm & logic), "errors" (error handling), "testing" (tests written by the student).
+- Scores are integers from 0 (not done) to ${MAX_SCORE} (nothing to improve). Grade the code itself; automated tests are accounted for separately.
+- Set "testing" to { "score": null, "justification": "..." } if the student did not have to write tests.
+- Each justification is one sentence in ${language} that refers to the code.
+`;
+}
+
+function validateCriterion(value, at, optional) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return [{ rule: "grades.criterion.type", message: `${at} must be an object with score and justification` }];
+  }
+
+  const errors = [];
+  const { score } = value;
+  if (!(score === null && optional) && !(Number.isInteger(score) && score >= 0 && score <= MAX_SCORE)) {
+    errors.push({
+      rule: "grades.score.range",
+      message: `${at}.score must be an integer from 0 to ${MAX_SCORE}${optional ? " or null" : ""}`,
+    });
+  }
+  if (typeof value.justification !== "string" || value.justification.trim().length === 0) {
+    errors.push({ rule: "grades.justification.required", message: `${at}.justification must be a non-empty string` });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the `grades` field of a model response: every task must be graded
+ * on every criterion of RUBRIC. Returns a list of `{ rule, message }`.
+ */
+function validateGrades(grades, tasks) {
+  if (!grades || typeof grades !== "object" || Array.isArray(grades)) {
+    return [{ rule: "grades.type", message: "grades must be an object keyed by task" }];
+  }
+
+  return tasks.flatMap((task) => {
+    const taskGrades = grades[task];
+    if (!taskGrades || typeof taskGrades !== "object") {
+      return [{ rule: "grades.task.required", message: `grades["${task}"] is missing` }];
+    }
+    return RUBRIC.flatMap(({ id }) =>
+      validateCriterion(taskGrades[id], `grades["${task}"].${id}`, OPTIONAL_CRITERIA.includes(id))
+    );
+  });
+}
+
+/**
+ * Combines the rubric with the automated tests of a task. The rubric part is
+ * the average of the scored criteria; `tests` is `{ passed, total }` or null
+ * when there is no test report. `total` is out of 100.
+ */
+function computeTaskGrade(task, taskGrades, tests, testsWeight) {
+  const criteria = Object.fromEntries(
+    RUBRIC.map(({ id }) => [id, { score: taskGrades[id].score, max: MAX_SCORE, justification: taskGrades[id].justification }])
+  );
+  const scored = RUBRIC.filter(({ id }) => criteria[id].score !== null);
+  const rubric = scored.length
+    ? scored.reduce((sum, { id }) => sum + criteria[id].score, 0) / (scored.length * MAX_SCORE)
+    : null;
+  const testRatio = tests && tests.total > 0 ? tests.passed / tests.total : null;
+
+  const total = rubric !== null && testRatio !== null
+    ? (1 - testsWeight) * rubric + testsWeight * testRatio
+    : rubric ?? testRatio;
+
+  return {
+    task,
+    criteria,
+    rubric: rubric === null ? null : Math.round(rubric * 100) / 100,
+    tests: testRatio === null ? null : { passed: tests.passed, total: tests.total },
+    testsWeight: rubric !== null && testRatio !== null ? testsWeight : null,
+    total: total === null ? null : Math.round(total * 100),
+  };
+}
+
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+}
+
+function formatGradesTable(grades) {
+  return grades
+    .map(({ task, criteria, tests, total }) => {
+      const rows = RUBRIC.map(({ id, title }) => {
+        const { score, max, justification } = criteria[id];
+        return `| ${title} | ${score === null ? "—" : `${score}/${max}`} | ${escapeTableCell(justification)} |`;
+      });
+      if (tests) rows.push(`| Автотесты | ${tests.passed}/${tests.total} | |`);
+
+      return [
+        `**Оценка: ${task}${total === null ? "" : ` — ${total}/100`}**`,
+        "",
+        "| Критерий | Балл | Почему |",
+        "| --- | --- | --- |",
+        ...rows,
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+/**
+ * Writes one JSON file per graded task: `<outputDir>/<login>/<module>/<task>.json`.
+ * Returns the written paths.
+ */
+async function writeGradeFiles(grades, { outputDir, student, pr, sha }) {
+  const written = [];
+
+  for (const grade of grades) {
+    const filePath = path.join(outputDir, student || "unknown", `${grade.task}.json`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ student, pr, sha, gradedAt: new Date().toISOString(), ...grade }, null, 2)
+    );
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+export {
+  RUBRIC,
+  computeTaskGrade,
+  formatGradesTable,
+  formatGradingInstructions,
+  validateGrades,
+  writeGradeFiles,
+};
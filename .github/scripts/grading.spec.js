@@ -0,0 +1,89 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { computeTaskGrade, formatGradesTable, validateGrades, writeGradeFiles } from "./grading.js";
+
+const TASK = "01-intro/1-sum";
+
+function taskGrades(scores) {
+  return Object.fromEntries(Object.entries(scores).map(([id, score]) => [id, { score, justification: `${id} справедливо` }]));
+}
+
+const GRADES = taskGrades({ completion: 4, quality: 4, algorithm: 3, errors: 5, testing: null });
+
+describe("grading", () => {
+  describe("computeTaskGrade", () => {
+    it("weighs the rubric average against the pass ratio of the tests", () => {
+      const grade = computeTaskGrade(TASK, GRADES, { passed: 3, total: 4 }, 0.4);
+
+      // the rubric is 16 of 20 points without the ungraded "testing": 0.6 * 0.8 + 0.4 * 0.75
+      assert.equal(grade.rubric, 0.8);
+      assert.deepEqual(grade.tests, { passed: 3, total: 4 });
+      assert.equal(grade.testsWeight, 0.4);
+      assert.equal(grade.total, 78);
+      assert.deepEqual(grade.criteria.testing, { score: null, max: 5, justification: "testing справедливо" });
+    });
+
+    it("uses the rubric alone without a test report or tests of the task", () => {
+      assert.equal(computeTaskGrade(TASK, GRADES, null, 0.4).total, 80);
+      const grade = computeTaskGrade(TASK, GRADES, { passed: 0, total: 0 }, 0.4);
+
+      assert.equal(grade.total, 80);
+      assert.equal(grade.tests, null);
+      assert.equal(grade.testsWeight, null);
+    });
+
+    it("counts every criterion when the tests of the student are graded", () => {
+      const grade = computeTaskGrade(TASK, taskGrades({ completion: 5, quality: 5, algorithm: 5, errors: 5, testing: 0 }), null, 0.4);
+
+      assert.equal(grade.rubric, 0.8);
+      assert.equal(grade.total, 80);
+    });
+  });
+
+  describe("validateGrades", () => {
+    it("requires a score on every criterion of every task", () => {
+      const errors = validateGrades({ [TASK]: { ...GRADES, quality: { score: 6, justification: "" } } }, [TASK, "01-intro/2-sub"]);
+
+      assert.deepEqual(errors.map(({ rule }) => rule), [
+        "grades.score.range",
+        "grades.justification.required",
+        "grades.task.required",
+      ]);
+    });
+  });
+
+  it("formats a table per task", () => {
+    const table = formatGradesTable([computeTaskGrade(TASK, GRADES, { passed: 3, total: 4 }, 0.4)]);
+
+    assert.match(table, /^\*\*Оценка: 01-intro\/1-sum — 78\/100\*\*/);
+    assert.match(table, /\| Алгоритм и логика \| 3\/5 \| algorithm справедливо \|/);
+    assert.match(table, /\| Тестирование \| — \| testing справедливо \|/);
+    assert.match(table, /\| Автотесты \| 3\/4 \| \|/);
+  });
+
+  describe("writeGradeFiles", () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "grades-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it("writes one file per task under the student and the module", async () => {
+      const grade = computeTaskGrade(TASK, GRADES, { passed: 3, total: 4 }, 0.4);
+      const written = await writeGradeFiles([grade], { outputDir, student: "student", pr: 7, sha: "abc123" });
+      const filePath = path.join(outputDir, "student", "01-intro", "1-sum.json");
+
+      assert.deepEqual(written, [filePath]);
+      const { gradedAt, ...content } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      assert.ok(!Number.isNaN(Date.parse(gradedAt)));
+      assert.deepEqual(content, { student: "student", pr: 7, sha: "abc123", ...grade });
+    });
+  });
+});
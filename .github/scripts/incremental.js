@@ -0,0 +1,138 @@
+const REVIEW_MARKER_PATTERN = /<!-- ai-reviewer:last-reviewed-sha=([0-9a-f]{7,40}) -->/;
+// author of the reviews posted with the workflow's GITHUB_TOKEN
+const DEFAULT_REVIEWER_LOGIN = "github-actions[bot]";
+
+const REVIEW_THREADS_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100) {
+          nodes {
+            id
+            isResolved
+            isOutdated
+            comments(first: 1) {
+              nodes {
+                path
+                pullRequestReview { databaseId }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const RESOLVE_THREAD_MUTATION = `
+  mutation ($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) {
+      thread { id }
+    }
+  }
+`;
+
+function withReviewMarker(body, sha) {
+  const marker = `<!-- ai-reviewer:last-reviewed-sha=${sha} -->`;
+  return body ? `${body}\n\n${marker}` : marker;
+}
+
+// a GitHub App posting the reviews sets REVIEWER_BOT_LOGIN to its own login, e.g. `my-reviewer[bot]`
+function getReviewerLogin() {
+  return process.env.REVIEWER_BOT_LOGIN || DEFAULT_REVIEWER_LOGIN;
+}
+
+/**
+ * Reviews posted by the reviewer itself. Anyone can put the marker into a
+ * review body, so the author is checked first: otherwise a student could
+ * mark their head as reviewed or pass off their own comments as the bot's.
+ */
+async function listReviewerReviews(octokit, owner, repo, pull_number) {
+  const reviews = await octokit.paginate(octokit.pulls.listReviews, {
+    owner,
+    repo,
+    pull_number,
+    per_page: 100,
+  });
+  const login = getReviewerLogin();
+  return reviews.filter((review) => review.user?.login === login && REVIEW_MARKER_PATTERN.test(review.body || ""));
+}
+
+function findLastReviewedSha(reviewerReviews) {
+  const last = reviewerReviews[reviewerReviews.length - 1];
+  if (!last) return null;
+  return REVIEW_MARKER_PATTERN.exec(last.body)[1];
+}
+
+/**
+ * Returns files changed between the last reviewed commit and the new head,
+ * limited to the files of the PR itself (a merge of the base branch brings
+ * foreign changes into the compare diff). Returns null when the compare is
+ * not available, e.g. after a force-push removed the last reviewed commit.
+ */
+async function getIncrementalChangedFiles(octokit, owner, repo, lastSha, headSha, prFiles) {
+  let data;
+  try {
+    ({ data } = await octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${lastSha}...${headSha}`,
+    }));
+  } catch (err) {
+    console.warn(`Unable to compare ${lastSha}...${headSha}, falling back to full review: ${err.message}`);
+    return null;
+  }
+
+  const prFilenames = new Set(prFiles.map((f) => f.filename));
+  return (data.files || []).filter((file) => prFilenames.has(file.filename));
+}
+
+function reviewCommentKey(path, line, body) {
+  return `${path}:${line}:${(body || "").trim()}`;
+}
+
+async function dedupeReviewComments(octokit, owner, repo, pull_number, reviewComments) {
+  const existing = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number,
+    per_page: 100,
+  });
+  const existingKeys = new Set(
+    existing.map((c) => reviewCommentKey(c.path, c.line ?? c.original_line, c.body))
+  );
+
+  return reviewComments.filter((c) => !existingKeys.has(reviewCommentKey(c.path, c.line, c.body)));
+}
+
+/**
+ * Resolves reviewer threads that GitHub marked as outdated, i.e. the student
+ * has changed the commented lines since the previous review.
+ */
+async function resolveOutdatedThreads(octokit, owner, repo, number, reviewerReviews) {
+  const reviewIds = new Set(reviewerReviews.map((review) => review.id));
+  const result = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, number });
+  const threads = result.repository.pullRequest.reviewThreads.nodes;
+  let resolved = 0;
+
+  for (const thread of threads) {
+    if (thread.isResolved || !thread.isOutdated) continue;
+    const [firstComment] = thread.comments.nodes;
+    if (!firstComment || !reviewIds.has(firstComment.pullRequestReview?.databaseId)) continue;
+
+    await octokit.graphql(RESOLVE_THREAD_MUTATION, { threadId: thread.id });
+    resolved += 1;
+  }
+
+  return resolved;
+}
+
+export {
+  dedupeReviewComments,
+  findLastReviewedSha,
+  getIncrementalChangedFiles,
+  getReviewerLogin,
+  listReviewerReviews,
+  resolveOutdatedThreads,
+  withReviewMarker,
+};
@@ -0,0 +1,124 @@
+import { createHash } from "crypto";
+
+// added to the PR when a review needs a human look: a downgraded APPROVE or text addressed to the reviewer
+const MENTOR_FLAG_LABEL = "ai-review-needs-mentor";
+
+const INJECTION_RULE = "injection/instruction-like";
+const INJECTION_MESSAGE =
+  "Эта строка похожа на инструкцию для AI-ревьюера. Такой текст не влияет на ревью, а PR отправлен на проверку ментору — удали его из решения.";
+const PATH_INJECTION_MESSAGE =
+  "Путь этого файла похож на инструкцию для AI-ревьюера. Такой текст не влияет на ревью, а PR отправлен на проверку ментору — переименуй папку или файл.";
+
+// phrases that address a language model rather than a human reader of the code
+const INSTRUCTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|system)\b.{0,20}\b(instructions?|rules|prompt|guidelines)/i,
+  /\b(you are|act as|pretend to be)\b.{0,30}\b(ai|assistant|language model|llm|reviewer|mentor|gpt|gemini)\b/i,
+  /\b(system|developer)\s+(prompt|message|instructions?)\b/i,
+  /\b(approve|accept|merge)\b.{0,30}\b(this|the)\s+(pr|pull request|code|submission|solution)\b/i,
+  /["']?conclusion["']?\s*[:=]\s*["']?(APPROVE|REQUEST_CHANGES)/i,
+  /\b(respond|reply|answer|output)\b.{0,30}\b(only|with)\b.{0,30}\b(APPROVE|REQUEST_CHANGES)\b/i,
+  /(игнорируй|проигнорируй|забудь|не учитывай)[^\n]{0,40}(инструкци|правил|указани|промпт)/i,
+  /(ты|вы)\s*(—|-|–)?\s*(ии|нейросеть|модель|ассистент|ревьюер|ментор)\b/i,
+  /(одобри|одобрить|поставь|ставь)[^\n]{0,30}(approve|апрув|этот pr|этот код|решение)/i,
+  /\bновые инструкции\b/i,
+];
+
+/**
+ * Wraps student-controlled text (changed files, task READMEs, questions) into
+ * tags the prompt declares as data. The tag name carries a hash of the text,
+ * so the text itself cannot contain a matching closing tag.
+ */
+function fenceUntrusted(kind, text) {
+  const id = createHash("sha256").update(text).digest("hex").slice(0, 8);
+  return `<${kind}_${id}>\n${text}\n</${kind}_${id}>`;
+}
+
+function isInstructionLike(text) {
+  return INSTRUCTION_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+// folder names spell words with dashes, underscores and dots instead of spaces
+function isInstructionLikePath(filePath) {
+  return isInstructionLike(filePath.replace(/[-_./\\]+/g, " "));
+}
+
+function findInstructionLikeLines(lines, lineNumbers) {
+  return [...lineNumbers]
+    .sort((a, b) => a - b)
+    .filter((line) => isInstructionLike(lines[line - 1] || ""));
+}
+
+/**
+ * Changed lines and file paths that look like instructions to the reviewer, in
+ * the `{ path, line, rule, message }` format of the other checks: one finding
+ * per file for its lines and one for its path, which the prompt also quotes.
+ */
+function detectInstructionLikeStrings(changedFiles, fileContents, getChangedLines) {
+  const findings = [];
+
+  for (const file of changedFiles) {
+    if (isInstructionLikePath(file.filename)) {
+      const [firstChanged = 1] = file.patch ? [...getChangedLines(file)].sort((a, b) => a - b) : [];
+      findings.push({ path: file.filename, line: firstChanged, rule: INJECTION_RULE, message: PATH_INJECTION_MESSAGE });
+    }
+
+    const lines = fileContents.get(file.filename);
+    if (!lines || !file.patch) continue;
+
+    const matches = findInstructionLikeLines(lines, getChangedLines(file));
+    if (matches.length === 0) continue;
+
+    const extra = matches.length > 1 ? ` Строки: ${matches.join(", ")}.` : "";
+    findings.push({ path: file.filename, line: matches[0], rule: INJECTION_RULE, message: `${INJECTION_MESSAGE}${extra}` });
+  }
+
+  return findings;
+}
+
+/**
+ * An APPROVE from the model has to agree with the tests and the deterministic
+ * checks: without a passing test report, with automatic findings or with
+ * instruction-like text in the diff it is downgraded to COMMENT.
+ * `reasons` explain the downgrade (and the injection flag) to mentors.
+ */
+function guardApproval(conclusion, { testSummary, findings, injections }) {
+  const reasons = [];
+
+  if (conclusion === "APPROVE") {
+    if (!testSummary) {
+      reasons.push("нет результатов автотестов");
+    } else if (testSummary.failed.length > 0) {
+      reasons.push(`не прошло автотестов: ${testSummary.failed.length} из ${testSummary.total}`);
+    }
+    if (findings.length > 0) {
+      reasons.push(`автоматические проверки нашли замечания: ${findings.length}`);
+    }
+  }
+
+  if (injections.length > 0) {
+    const places = injections.map(({ path: filePath, line }) => `\`${filePath}:${line}\``).join(", ");
+    reasons.push(`в изменениях есть текст, похожий на инструкции для ревьюера (${places})`);
+  }
+
+  const downgraded = conclusion === "APPROVE" && reasons.length > 0;
+  return { conclusion: downgraded ? "COMMENT" : conclusion, downgraded, flagged: reasons.length > 0, reasons };
+}
+
+function formatMentorFlag({ downgraded, reasons }) {
+  const lines = [
+    downgraded
+      ? "⚠️ **Нужна проверка ментора.** Ревьюер предложил принять работу, но это расходится с автоматическими проверками, поэтому ревью оставлено комментарием:"
+      : "⚠️ **Нужна проверка ментора:**",
+    ...reasons.map((reason) => `- ${reason}`),
+  ];
+  return lines.join("\n");
+}
+
+export {
+  INJECTION_RULE,
+  MENTOR_FLAG_LABEL,
+  detectInstructionLikeStrings,
+  fenceUntrusted,
+  formatMentorFlag,
+  guardApproval,
+};
@@ -0,0 +1,141 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import jsonReporter from "../../jest-json-reporter.js";
+
+// the reporter makes paths relative to the working directory, like jest started in the repository root
+const ROOT_DIR = process.cwd();
+const TEST_FILE = path.join(ROOT_DIR, "01-intro/1-sum/index.test.js");
+
+function testResult(title, status, extra = {}) {
+  return { title, status, ancestorTitles: ["intro/sum"], duration: 5, failureMessages: [], ...extra };
+}
+
+function testCase(testResults, extra = {}) {
+  return { testFilePath: TEST_FILE, testResults, failureMessage: null, ...extra };
+}
+
+function runReporter(testResults) {
+  jsonReporter({ testResults, numPassedTestSuites: 1, numFailedTestSuites: 0 });
+  return JSON.parse(fs.readFileSync(process.env.JEST_REPORT_PATH, "utf8"));
+}
+
+describe("jest-json-reporter", () => {
+  const env = { ...process.env };
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "jest-json-reporter-"));
+    process.env.JEST_REPORT_PATH = path.join(tmpDir, "report.json");
+    process.env.JEST_REJECTIONS_DIR = path.join(tmpDir, "rejections");
+    delete process.env.HIDDEN_TESTS_DIR;
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  it("reports every test with its task and a summary per task", () => {
+    const report = runReporter([
+      testCase([testResult("adds", "passed"), testResult("subtracts", "pending"), testResult("multiplies", "todo")]),
+    ]);
+
+    assert.deepEqual(report.result.jest[0], {
+      description: "adds",
+      success: true,
+      status: "passed",
+      suite: ["intro/sum"],
+      time: 5,
+      file: "01-intro/1-sum/index.test.js",
+      module: "01-intro",
+      task: "01-intro/1-sum",
+    });
+    assert.deepEqual(report.result.jest.map((entry) => entry.status), ["passed", "skipped", "todo"]);
+    const { total, success, failed, skipped, todo, warnings } = report.summary;
+    assert.deepEqual(
+      { total, success, failed, skipped, todo, warnings },
+      { total: 3, success: 1, failed: 0, skipped: 1, todo: 1, warnings: 0 }
+    );
+    assert.deepEqual(report.summary.tasks, { "01-intro/1-sum": { passed: 1, failed: 0, skipped: 1, todo: 1 } });
+  });
+
+  it("trims colors and the stack of a failure and keeps its location", () => {
+    const message = `\u001b[31mExpected: 2\u001b[39m\nReceived: 3\n    at Object.<anonymous> (${TEST_FILE}:5:23)\n    at node_modules/x.js:1:1`;
+    const [entry] = runReporter([testCase([testResult("adds", "failed", { failureMessages: [message] })])]).result.jest;
+
+    assert.deepEqual(entry.failureMessages, ["Expected: 2\nReceived: 3"]);
+    assert.equal(entry.location, "01-intro/1-sum/index.test.js:5:23");
+  });
+
+  it("reports a suite that failed to run as a failed test", () => {
+    const report = runReporter([testCase([], { failureMessage: "SyntaxError: Unexpected token (3:4)" })]);
+    const [entry] = report.result.jest;
+
+    assert.equal(report.result.jest.length, 1);
+    assert.equal(entry.description, "Test suite failed to run");
+    assert.equal(entry.status, "failed");
+    assert.equal(entry.task, "01-intro/1-sum");
+    assert.deepEqual(entry.failureMessages, ["SyntaxError: Unexpected token (3:4)"]);
+    assert.equal(report.summary.failed, 1);
+  });
+
+  it("hides the details of the reference tests", () => {
+    const hiddenDir = path.join(tmpDir, "hidden-tests");
+    process.env.HIDDEN_TESTS_DIR = hiddenDir;
+    const hiddenFile = path.join(hiddenDir, "01-intro/1-sum/reference.test.js");
+    const message = `Expected: 42\n    at Object.<anonymous> (${hiddenFile}:7:3)`;
+
+    const [entry] = runReporter([{
+      testFilePath: hiddenFile,
+      testResults: [testResult("handles negative numbers", "failed", { failureMessages: [message] })],
+      failureMessage: null,
+    }]).result.jest;
+
+    assert.equal(entry.file, "hidden/01-intro/1-sum/reference.test.js");
+    assert.equal(entry.task, "01-intro/1-sum");
+    assert.equal(entry.hidden, true);
+    assert.deepEqual(entry.failureMessages, ["hidden check failed: handles negative numbers"]);
+    assert.equal(entry.location, null);
+  });
+
+  it("attaches the unhandled rejections to their tests", () => {
+    const rejectionsDir = process.env.JEST_REJECTIONS_DIR;
+    fs.mkdirSync(rejectionsDir);
+    fs.writeFileSync(path.join(rejectionsDir, "index.test.js-1.json"), JSON.stringify({
+      testPath: TEST_FILE,
+      rejections: [{ test: "intro/sum adds", message: "Error: boom (at 01-intro/1-sum/index.js:3:9)" }],
+    }));
+
+    const report = runReporter([testCase([testResult("adds", "passed")])]);
+
+    assert.deepEqual(report.result.warnings, [{
+      type: "unhandled-rejection",
+      file: "01-intro/1-sum/index.test.js",
+      module: "01-intro",
+      task: "01-intro/1-sum",
+      test: "intro/sum adds",
+      message: "Error: boom (at 01-intro/1-sum/index.js:3:9)",
+    }]);
+    assert.deepEqual(report.result.jest[0].warnings, ["Error: boom (at 01-intro/1-sum/index.js:3:9)"]);
+    assert.equal(report.summary.warnings, 1);
+    assert.equal(fs.existsSync(rejectionsDir), false);
+  });
+
+  it("writes a JUnit XML report next to the JSON one", () => {
+    runReporter([testCase([
+      testResult('handles <b> & "quotes"', "passed"),
+      testResult("fails", "failed", { failureMessages: ["Expected: 1 < 2"] }),
+    ])]);
+    const xml = fs.readFileSync(path.join(tmpDir, "report.xml"), "utf8");
+
+    assert.ok(xml.includes('<testsuites name="jest tests" tests="2" failures="1" skipped="0" time="0.010">'));
+    assert.ok(xml.includes('name="handles &lt;b&gt; &amp; &quot;quotes&quot;"'));
+    assert.ok(xml.includes('<failure message="Expected: 1 &lt; 2">Expected: 1 &lt; 2</failure>'));
+  });
+});
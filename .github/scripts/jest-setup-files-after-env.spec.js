@@ -0,0 +1,68 @@
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it } from "node:test";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const FIXTURE = ".github/scripts/__fixtures__/unhandled-rejection.fixture.js";
+const REJECTION = `Error: forgotten await (at Object.<anonymous> (${FIXTURE}:4:20))`;
+
+// jest with the course config, since the mode is read when the setup file loads; the config leaves .github out
+function runFixture(strict) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "jest-rejections-spec-"));
+  const reportPath = path.join(tmpDir, "report.json");
+
+  try {
+    spawnSync(
+      process.execPath,
+      [
+        path.join(ROOT_DIR, "node_modules/jest/bin/jest.js"),
+        "--testMatch", `**/${FIXTURE}`,
+        "--testPathIgnorePatterns", "/node_modules/",
+      ],
+      {
+        cwd: ROOT_DIR,
+        encoding: "utf8",
+        env: {
+          ...process.env,
+          CI: "true",
+          JEST_REPORT_PATH: reportPath,
+          JEST_REJECTIONS_DIR: path.join(tmpDir, "rejections"),
+          JEST_STRICT_REJECTIONS: strict ? "true" : "",
+        },
+      }
+    );
+    return JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+const statuses = (report) => report.result.jest.map(({ description, status }) => [description, status]);
+
+describe("jest-setup-files-after-env", () => {
+  it("fails the test that left an unhandled rejection in the strict mode", () => {
+    const report = runFixture(true);
+
+    assert.deepEqual(statuses(report), [["leaves a rejection behind", "failed"], ["passes", "passed"]]);
+    assert.ok(
+      report.result.jest[0].failureMessages[0].includes(
+        `Unhandled promise rejection in "fixture leaves a rejection behind": ${REJECTION}`
+      )
+    );
+  });
+
+  it("only reports the rejection as a warning of its test otherwise", () => {
+    const report = runFixture(false);
+
+    assert.deepEqual(statuses(report), [["leaves a rejection behind", "passed"], ["passes", "passed"]]);
+    assert.deepEqual(
+      report.result.warnings.map(({ test, message }) => ({ test, message })),
+      [{ test: "fixture leaves a rejection behind", message: REJECTION }]
+    );
+    assert.deepEqual(report.result.jest[0].warnings, [REJECTION]);
+  });
+});
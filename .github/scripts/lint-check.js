@@ -0,0 +1,150 @@
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parse } from "acorn";
+import { classifyChangedFile } from "./file-guard.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const CODE_HINT_PATTERN = /[;{}()=]|^\s*(const|let|var|return|if|for|while|function|class|import|export)\b/;
+const DIRECTIVE_PATTERN = /^\s*(eslint|global|jshint|istanbul|@ts-|TODO|FIXME)/i;
+
+// CONTRIBUTION.md rules; .eslintrc.js does not enable no-console, so they are passed explicitly
+const CONTRIBUTION_RULES = {
+  "no-console": "warn",
+  "no-debugger": "warn",
+  camelcase: "warn",
+};
+
+const RULE_MESSAGES = {
+  "no-console": "Не оставляй console в решении — это отладочный вывод (см. CONTRIBUTION.md).",
+  "no-debugger": "Не оставляй `debugger` в решении (см. CONTRIBUTION.md).",
+  camelcase: "Используй camelCase для имён переменных и функций (см. CONTRIBUTION.md).",
+  "commented-out-code": "Похоже на закомментированный код — удали его перед сдачей (см. CONTRIBUTION.md).",
+};
+
+/**
+ * ESLint is installed in the root of the course repository, not next to the
+ * reviewer, so it is resolved from there. Returns `null` when it is missing
+ * (e.g. `npm install` was not run in the root).
+ */
+function loadEslint() {
+  try {
+    return createRequire(path.join(ROOT_DIR, "package.json"))("eslint");
+  } catch (err) {
+    return null;
+  }
+}
+
+// ESLint < 7 only has CLIEngine, newer versions only have the async ESLint class
+async function lintText(eslint, source, filePath) {
+  const absolutePath = path.join(ROOT_DIR, filePath);
+
+  if (eslint.ESLint) {
+    const linter = new eslint.ESLint({ cwd: ROOT_DIR, overrideConfig: { rules: CONTRIBUTION_RULES } });
+    const [result] = await linter.lintText(source, { filePath: absolutePath });
+    return result ? result.messages : [];
+  }
+
+  const engine = new eslint.CLIEngine({ cwd: ROOT_DIR, rules: CONTRIBUTION_RULES });
+  const [result] = engine.executeOnText(source, absolutePath).results;
+  return result ? result.messages : [];
+}
+
+function looksLikeCode(text) {
+  if (!CODE_HINT_PATTERN.test(text) || DIRECTIVE_PATTERN.test(text)) return false;
+  try {
+    parse(text, { ecmaVersion: "latest", sourceType: "module", allowReturnOutsideFunction: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Finds commented-out code: consecutive `//` comments are checked as one
+ * block (so a commented-out `if` spanning several lines is detected), block
+ * comments on their own. Returns the first line of every such comment.
+ */
+function findCommentedOutCode(source) {
+  const comments = [];
+  try {
+    parse(source, { ecmaVersion: "latest", sourceType: "module", locations: true, onComment: comments });
+  } catch (err) {
+    return [];
+  }
+
+  const groups = [];
+  for (const comment of comments) {
+    const previous = groups[groups.length - 1];
+    const continues = comment.type === "Line" && previous?.type === "Line"
+      && comment.loc.start.line === previous.endLine + 1;
+
+    if (continues) {
+      previous.lines.push(comment.value);
+      previous.endLine = comment.loc.end.line;
+    } else if (!(comment.type === "Block" && comment.value.startsWith("*"))) {
+      // JSDoc blocks are documentation, not code
+      groups.push({ type: comment.type, lines: [comment.value], line: comment.loc.start.line, endLine: comment.loc.end.line });
+    }
+  }
+
+  return groups
+    .filter((group) => looksLikeCode(group.lines.join("\n")) || group.lines.some(looksLikeCode))
+    .map((group) => group.line);
+}
+
+function toFinding(filePath, rule, lines, message) {
+  const more = lines.length > 1 ? ` Строки: ${lines.join(", ")}.` : "";
+  return { path: filePath, line: lines[0], rule, message: `${message}${more}` };
+}
+
+/**
+ * ESLint (with the repo's .eslintrc.js) and the CONTRIBUTION.md rules on the
+ * changed task solutions. Only problems on the lines returned by
+ * `getChangedLines(file)` are reported, one finding per rule and file.
+ */
+async function runLintChecks(changedFiles, fileContents, getChangedLines) {
+  const eslint = loadEslint();
+  if (!eslint) console.warn("ESLint is not installed in the repository root; only the CONTRIBUTION.md checks run");
+
+  const findings = [];
+
+  for (const file of changedFiles) {
+    const lines = fileContents.get(file.filename);
+    if (!lines || classifyChangedFile(file.filename) !== "solution") continue;
+
+    const source = lines.join("\n");
+    const changedLines = getChangedLines(file);
+    const byRule = new Map();
+    const report = (rule, line, text) => {
+      if (!changedLines.has(line)) return;
+      const entry = byRule.get(rule) || { lines: [], text };
+      if (!entry.lines.includes(line)) entry.lines.push(line);
+      byRule.set(rule, entry);
+    };
+
+    if (eslint) {
+      try {
+        for (const message of await lintText(eslint, source, file.filename)) {
+          // a syntax error has no rule id; the tests already report it
+          if (message.ruleId) report(message.ruleId, message.line, message.message);
+        }
+      } catch (err) {
+        console.warn(`ESLint skipped for ${file.filename}: ${err.message}`);
+      }
+    }
+
+    findCommentedOutCode(source).forEach((line) => report("commented-out-code", line));
+
+    byRule.forEach(({ lines: ruleLines, text }, rule) => {
+      // rules without a Russian explanation keep ESLint's own wording
+      const message = RULE_MESSAGES[rule] || `ESLint (${rule}): ${text}`;
+      const prefix = rule === "commented-out-code" ? "contribution" : "eslint";
+      findings.push(toFinding(file.filename, `${prefix}/${rule}`, ruleLines, message));
+    });
+  }
+
+  return findings;
+}
+
+export { findCommentedOutCode, runLintChecks };
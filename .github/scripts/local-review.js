@@ -0,0 +1,193 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { findForbiddenChanges, formatForbiddenChangesBody } from "./file-guard.js";
+import { createProvider, resolveProviderConfig } from "./providers.js";
+import { formatGradesTable } from "./grading.js";
+import { formatMentorFlag, guardApproval } from "./injection-guard.js";
+import { formatRenderSection, loadRenderReport, selectRenderResults } from "./render-report.js";
+import {
+  buildTaskGrades,
+  detectTasks,
+  findingsToModelComments,
+  formatGeneralNotes,
+  generateMergedReview,
+  normalizeReviewComments,
+  prepareReviewContext,
+} from "./review.js";
+import { loadReviewerConfig } from "./reviewer-config.js";
+import { parseRange } from "./test-changed.js";
+import { formatFailingTestsBody, formatTestStatus, loadTestReport, summarizeTestReport } from "./test-report.js";
+
+const execFileAsync = promisify(execFile);
+const GIT_MAX_BUFFER = 32 * 1024 * 1024;
+const GIT_STATUSES = {
+  A: "added",
+  C: "copied",
+  D: "removed",
+  M: "modified",
+  R: "renamed",
+  T: "changed",
+};
+
+const USAGE = `Usage: node local-review.js <base>[..<head>] [--prompt-only] [--test-report <path>] [--render-report <path>]
+
+Builds the reviewer prompt from a local git diff instead of a pull request.
+Without <head> the base is compared with the working tree; <base>...<head>
+compares <head> with the merge base, like the diff of a PR. File contents and
+READMEs are always read from the working tree, so check out <head> first.
+
+  --prompt-only           print the prompt and skip the model call
+  --test-report <path>    JSON written by jest-json-reporter.js (defaults to $JEST_REPORT_PATH)
+  --render-report <path>  JSON written by render-audit.js (defaults to $RENDER_REPORT_PATH)`;
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync("git", args, { cwd, maxBuffer: GIT_MAX_BUFFER });
+  return stdout;
+}
+
+function parseNameStatus(output) {
+  return output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [code, firstPath, secondPath] = line.split("\t");
+      const status = GIT_STATUSES[code[0]] || "modified";
+      const file = { filename: secondPath || firstPath, status };
+      if (secondPath) file.previous_filename = firstPath;
+      return file;
+    });
+}
+
+// GitHub's `patch` field holds only hunks, without the `diff --git`/`---`/`+++` header
+function splitDiffIntoPatches(diff) {
+  const patches = new Map();
+  const sections = diff.split(/^diff --git /m).slice(1);
+
+  for (const section of sections) {
+    const lines = section.split("\n");
+    const newPath = lines.find((line) => line.startsWith("+++ "));
+    const oldPath = lines.find((line) => line.startsWith("--- "));
+    const target = newPath && newPath !== "+++ /dev/null" ? newPath : oldPath;
+    if (!target) continue;
+
+    const filename = target.slice(4).replace(/^[ab]\//, "");
+    const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+    if (firstHunk === -1) continue;
+
+    patches.set(filename, lines.slice(firstHunk).join("\n").replace(/\n+$/, ""));
+  }
+
+  return patches;
+}
+
+async function getLocalChangedFiles(refs, cwd) {
+  const nameStatus = await git(["diff", "--name-status", "-M", ...refs], cwd);
+  const diff = await git(["diff", "--no-color", "--no-ext-diff", "-M", ...refs], cwd);
+  const patches = splitDiffIntoPatches(diff);
+
+  return parseNameStatus(nameStatus).map((file) => ({
+    ...file,
+    patch: patches.get(file.filename),
+  }));
+}
+
+function createWorkingTreeFileReader(root) {
+  return (filePath) => fs.readFile(path.join(root, filePath), "utf8");
+}
+
+async function runLocalReview(range, { promptOnly = false, testReportPath, renderReportPath } = {}) {
+  const root = (await git(["rev-parse", "--show-toplevel"], process.cwd())).trim();
+  const config = await loadReviewerConfig();
+  const changedFiles = await getLocalChangedFiles(parseRange(range), root);
+
+  const forbiddenChanges = findForbiddenChanges(changedFiles);
+  if (forbiddenChanges.length > 0) {
+    console.log("===== FORBIDDEN CHANGES =====");
+    console.log(formatForbiddenChangesBody(forbiddenChanges));
+    process.exitCode = 1;
+    return;
+  }
+
+  const testReport = await loadTestReport(testReportPath);
+  // a report without tests of the changed tasks says nothing about them
+  const taskTests = testReport ? summarizeTestReport(testReport, detectTasks(changedFiles)) : null;
+  const testSummary = taskTests && taskTests.total > 0 ? taskTests : null;
+  const renderReport = await loadRenderReport(renderReportPath);
+  const context = await prepareReviewContext(
+    createWorkingTreeFileReader(root), changedFiles, { testSummary, renderReport, config }
+  );
+
+  if (!context) {
+    console.error("No coursework modules detected in changed files; nothing to review.");
+    return;
+  }
+
+  if (testSummary && testSummary.failed.length > 0) {
+    console.log("===== TESTS FAILED =====");
+    console.log(formatFailingTestsBody(testSummary));
+    return;
+  }
+
+  const { modulesInScope, tasksInScope, changedFiles: reviewedFiles, fileContents, findings, injections, parts } = context;
+  console.error(`Modules detected: ${modulesInScope.join(", ")}`);
+
+  parts.forEach(({ label, prompt }) => {
+    console.log(`===== PROMPT (${label}) =====`);
+    console.log(prompt);
+  });
+
+  if (promptOnly) return;
+
+  const provider = await createProvider(resolveProviderConfig(process.env, config.model));
+  console.error(`Using provider ${provider.name} (${provider.model})`);
+
+  const { raw, review: parsed } = await generateMergedReview(provider, parts, config.review);
+  if (!parsed) {
+    console.log("===== INVALID MODEL RESPONSE =====");
+    console.log(raw);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { comments, generalNotes } = normalizeReviewComments(
+    [...findingsToModelComments([...findings, ...injections]), ...parsed.comments], fileContents, reviewedFiles
+  );
+  const guard = guardApproval(parsed.conclusion, { testSummary, findings, injections });
+  const grades = buildTaskGrades(parsed, tasksInScope, testReport, config);
+  const review = {
+    conclusion: guard.conclusion,
+    general_comment: [
+      guard.flagged && formatMentorFlag(guard),
+      parsed.general,
+      formatGeneralNotes(generalNotes),
+      grades.length > 0 && formatGradesTable(grades),
+      formatRenderSection(selectRenderResults(renderReport, tasksInScope)),
+      testSummary && formatTestStatus(testSummary),
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    comments,
+  };
+
+  console.log("===== REVIEW =====");
+  console.log(JSON.stringify(review, null, 2));
+}
+
+const args = process.argv.slice(2);
+const testReportIndex = args.indexOf("--test-report");
+const testReportPath = testReportIndex !== -1 ? args.splice(testReportIndex, 2)[1] : undefined;
+const renderReportIndex = args.indexOf("--render-report");
+const renderReportPath = renderReportIndex !== -1 ? args.splice(renderReportIndex, 2)[1] : undefined;
+const range = args.find((arg) => !arg.startsWith("--"));
+
+if (!range || args.includes("--help")) {
+  console.log(USAGE);
+  process.exit(range ? 0 : 1);
+}
+
+runLocalReview(range, { promptOnly: args.includes("--prompt-only"), testReportPath, renderReportPath }).catch((error) => {
+  console.error("Local review failed", error);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const MODULE_ID_PATTERN = /^[0-9]{2}-[\w-]+$/;
+const SECTION_HEADER_PATTERN = /^##\s+([0-9]{2}-[\w-]+)\s*$/;
+const FIELD_PATTERN = /^(Paths|Tasks|Scope|Allowed|Forbidden):\s*(.*)$/;
+const BACKTICK_VALUE_PATTERN = /`([^`]+)`/g;
+
+const DEFAULT_MODULES_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../instructions/modules.md"
+);
+
+/**
+ * @typedef {Object} ModuleEntry
+ * @property {string} id           module folder, e.g. `04-oop-basic-intro-to-dom`
+ * @property {string[]} paths      path globs from the `Paths` field
+ * @property {string[]} tasks      task folders from the `Tasks` field (empty if not listed)
+ * @property {string} scope        free-text `Scope` field
+ * @property {string[]} allowed    concepts introduced by the module
+ * @property {string[]} forbidden  concepts a solution of the module must not use
+ * @property {string} raw          the whole markdown section, as pasted into the prompt
+ */
+
+function parseListField(value) {
+  return [...value.matchAll(BACKTICK_VALUE_PATTERN)].map((match) => match[1]);
+}
+
+function parseSection(id, lines) {
+  const entry = { id, paths: [], tasks: [], scope: "", allowed: [], forbidden: [], raw: "" };
+
+  for (const line of lines) {
+    const field = FIELD_PATTERN.exec(line.trim());
+    if (!field) continue;
+
+    const [, name, value] = field;
+    if (name === "Scope") {
+      entry.scope = value.trim();
+    } else {
+      entry[name.toLowerCase()] = parseListField(value);
+    }
+  }
+
+  entry.raw = [`## ${id}`, ...lines].join("\n").trim();
+  return entry;
+}
+
+/**
+ * Parses `modules.md` into a registry keyed by module id.
+ * @returns {Object<string, ModuleEntry>}
+ */
+function parseModuleRegistry(content) {
+  const registry = {};
+  let currentId = null;
+  let currentLines = [];
+
+  const flush = () => {
+    if (currentId) registry[currentId] = parseSection(currentId, currentLines);
+  };
+
+  for (const line of content.split("\n")) {
+    const header = SECTION_HEADER_PATTERN.exec(line);
+    if (header) {
+      flush();
+      [, currentId] = header;
+      currentLines = [];
+    } else if (line.startsWith("## ")) {
+      flush();
+      currentId = null;
+    } else if (currentId) {
+      currentLines.push(line);
+    }
+  }
+  flush();
+
+  return registry;
+}
+
+async function loadModuleRegistry(modulesPath = DEFAULT_MODULES_PATH) {
+  return parseModuleRegistry(await fs.readFile(modulesPath, "utf8"));
+}
+
+function detectModules(changedFiles) {
+  const modules = new Set();
+  changedFiles.forEach(({ filename }) => {
+    const [maybeModule] = filename.split("/");
+    if (MODULE_ID_PATTERN.test(maybeModule)) {
+      modules.add(maybeModule);
+    }
+  });
+  return [...modules];
+}
+
+function detectTasks(changedFiles) {
+  const tasks = new Set();
+  changedFiles.forEach(({ filename }) => {
+    const [module, task] = filename.split("/");
+    if (module && task && MODULE_ID_PATTERN.test(module)) {
+      tasks.add(`${module}/${task}`);
+    }
+  });
+  return [...tasks];
+}
+
+// the first module (in course order) whose `Allowed` list introduces the concept
+function findIntroducingModule(registry, concept) {
+  return Object.keys(registry)
+    .sort()
+    .find((id) => registry[id].allowed.includes(concept)) || null;
+}
+
+export {
+  DEFAULT_MODULES_PATH,
+  MODULE_ID_PATTERN,
+  detectModules,
+  detectTasks,
+  findIntroducingModule,
+  loadModuleRegistry,
+  parseModuleRegistry,
+};
@@ -0,0 +1,181 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_MODULES_PATH, MODULE_ID_PATTERN, parseModuleRegistry } from "./module-registry.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const TEMPLATES_DIR = path.resolve(ROOT_DIR, ".github/templates/task");
+const TASK_NAME_PATTERN = /^[0-9]+-[a-z][a-z0-9-]*$/;
+const TEMPLATE_FILES = ["index.js", "index.test.js", "README.md"];
+
+const USAGE = `Usage: node .github/scripts/new-task.js <module> <task> [--title "<title>"] [--scope "<topics>"] [--allowed "<concepts>"]
+
+Creates <module>/<task>/{index.js,index.test.js,README.md} from the templates
+in .github/templates/task and registers the task in .github/instructions/modules.md
+unless it is already listed there. Refuses to overwrite an existing task folder.
+
+  <module>  module folder, e.g. 02-javascript-data-types
+  <task>    task folder, e.g. 1-sort-strings
+  --scope   topics of the module for modules.md; required when the module is not there yet
+  --allowed comma-separated concepts the new module introduces, e.g. "async, fetch";
+            its Forbidden list is derived from the concepts no earlier module introduced`;
+
+function withoutOrderPrefix(name) {
+  return name.replace(/^[0-9]+-/, "");
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function formatList(values) {
+  return values.length ? values.map((value) => `\`${value}\``).join(", ") : "—";
+}
+
+// every concept modules.md knows about, in the order of their first mention
+function listConcepts(registry) {
+  return [...new Set(Object.values(registry).flatMap((module) => [...module.allowed, ...module.forbidden]))];
+}
+
+// a module may use what it or any earlier module introduced; everything else stays forbidden
+function deriveForbidden(registry, moduleId, allowed) {
+  const introduced = new Set([
+    ...allowed,
+    ...Object.values(registry).filter((module) => module.id < moduleId).flatMap((module) => module.allowed),
+  ]);
+  return listConcepts(registry).filter((concept) => !introduced.has(concept));
+}
+
+function registerTask(content, moduleId, taskName, { scope, allowed = [] } = {}) {
+  const lines = content.split("\n");
+  const header = lines.findIndex((line) => line.trim() === `## ${moduleId}`);
+
+  if (header === -1) {
+    const section = [
+      `## ${moduleId}`,
+      `Paths: \`${moduleId}/*\``,
+      `Tasks: \`${taskName}\``,
+      `Scope: ${scope}`,
+      `Allowed: ${formatList(allowed)}`,
+      `Forbidden: ${formatList(deriveForbidden(parseModuleRegistry(content), moduleId, allowed))}`,
+    ];
+    // modules.md lists the modules in course order
+    const nextModule = lines.findIndex((line) => {
+      const id = line.startsWith("## ") ? line.slice(3).trim() : "";
+      return MODULE_ID_PATTERN.test(id) && id > moduleId;
+    });
+
+    if (nextModule === -1) {
+      return `${content.replace(/\n+$/, "")}\n\n${section.join("\n")}\n`;
+    }
+    lines.splice(nextModule, 0, ...section, "");
+    return lines.join("\n");
+  }
+
+  const nextHeader = lines.findIndex((line, index) => index > header && line.startsWith("## "));
+  const sectionEnd = nextHeader === -1 ? lines.length : nextHeader;
+  const tasksLine = lines.findIndex((line, index) => index > header && index < sectionEnd && line.startsWith("Tasks:"));
+
+  if (tasksLine === -1) {
+    lines.splice(header + 1, 0, `Tasks: \`${taskName}\``);
+  } else if (lines[tasksLine].includes("`")) {
+    lines[tasksLine] = `${lines[tasksLine].trimEnd()}, \`${taskName}\``;
+  } else {
+    lines[tasksLine] = `Tasks: \`${taskName}\``;
+  }
+
+  return lines.join("\n");
+}
+
+async function createTask(moduleId, taskName, { title, scope, allowed }) {
+  if (!MODULE_ID_PATTERN.test(moduleId)) {
+    throw new Error(`Module "${moduleId}" must match ${MODULE_ID_PATTERN} (e.g. 02-javascript-data-types)`);
+  }
+  if (!TASK_NAME_PATTERN.test(taskName)) {
+    throw new Error(`Task "${taskName}" must match ${TASK_NAME_PATTERN} (e.g. 1-sort-strings)`);
+  }
+
+  const modulesContent = await fs.readFile(DEFAULT_MODULES_PATH, "utf8");
+  const registry = parseModuleRegistry(modulesContent);
+  const module = registry[moduleId];
+  // modules.md may already list a task of the course that has no folder yet
+  const registered = Boolean(module?.tasks.includes(taskName));
+  // the reviewer puts the scope into the prompt, so a new module cannot go without it
+  if (!module && !scope?.trim()) {
+    throw new Error(`Module ${moduleId} is not in modules.md yet; describe its topics with --scope "<topics>"`);
+  }
+  const allowedConcepts = (allowed || "").split(",").map((concept) => concept.trim()).filter(Boolean);
+  const concepts = listConcepts(registry);
+  const unknown = allowedConcepts.filter((concept) => !concepts.includes(concept));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown concepts in --allowed: ${unknown.join(", ")}; modules.md knows ${concepts.join(", ")}`);
+  }
+  if (module && allowedConcepts.length > 0) {
+    throw new Error(`Module ${moduleId} is already in modules.md; change its Allowed list there`);
+  }
+
+  const taskDir = path.join(ROOT_DIR, moduleId, taskName);
+  if (await exists(taskDir)) {
+    throw new Error(`Folder ${moduleId}/${taskName} already exists`);
+  }
+
+  const values = {
+    title: title || withoutOrderPrefix(taskName),
+    exportName: toCamelCase(withoutOrderPrefix(taskName)),
+    describeName: `${withoutOrderPrefix(moduleId)}/${withoutOrderPrefix(taskName)}`,
+  };
+
+  await fs.mkdir(taskDir, { recursive: true });
+  for (const file of TEMPLATE_FILES) {
+    const template = await fs.readFile(path.join(TEMPLATES_DIR, `${file}.tpl`), "utf8");
+    await fs.writeFile(path.join(taskDir, file), renderTemplate(template, values));
+  }
+
+  if (registered) {
+    console.log(`Created ${moduleId}/${taskName}; it is already listed in modules.md`);
+  } else {
+    await fs.writeFile(DEFAULT_MODULES_PATH, registerTask(modulesContent, moduleId, taskName, { scope: scope?.trim(), allowed: allowedConcepts }));
+    console.log(`Created ${moduleId}/${taskName} and registered it in modules.md`);
+  }
+  console.log(`Run its tests with: npx jest -t '${values.describeName}'`);
+}
+
+function main(args) {
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args.splice(index, 2)[1] : undefined;
+  };
+  const title = option("--title");
+  const scope = option("--scope");
+  const allowed = option("--allowed");
+  const [moduleId, taskName] = args;
+
+  if (!moduleId || !taskName || args.includes("--help")) {
+    console.log(USAGE);
+    process.exit(moduleId && taskName ? 0 : 1);
+  }
+
+  return createTask(moduleId, taskName, { title, scope, allowed });
+}
+
+export { deriveForbidden, registerTask };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,69 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { parseModuleRegistry } from "./module-registry.js";
+import { registerTask } from "./new-task.js";
+
+const MODULES = `# Module scopes
+
+## 01-intro
+Paths: \`01-intro/*\`
+Tasks: \`1-sum\`
+Scope: first steps.
+Allowed: —
+Forbidden: \`classes\`, \`dom\`, \`async\`, \`fetch\`
+
+## 04-oop
+Paths: \`04-oop/*\`
+Tasks: \`1-column-chart\`
+Scope: classes and DOM.
+Allowed: \`classes\`, \`dom\`
+Forbidden: \`async\`, \`fetch\`
+
+## 07-async
+Paths: \`07-async/*\`
+Tasks: \`1-loader\`
+Scope: promises and fetch.
+Allowed: \`async\`, \`fetch\`
+Forbidden: —
+`;
+
+describe("new-task", () => {
+  it("adds a task to the Tasks list of an existing module", () => {
+    const registry = parseModuleRegistry(registerTask(MODULES, "04-oop", "2-tooltip"));
+
+    assert.deepEqual(registry["04-oop"].tasks, ["1-column-chart", "2-tooltip"]);
+  });
+
+  it("inserts a new module in course order and derives its Forbidden list", () => {
+    const content = registerTask(MODULES, "05-events", "1-slider", { scope: "events.", allowed: ["async"] });
+    const registry = parseModuleRegistry(content);
+
+    assert.deepEqual(Object.keys(registry), ["01-intro", "04-oop", "05-events", "07-async"]);
+    const { paths, tasks, scope, allowed, forbidden } = registry["05-events"];
+    assert.deepEqual({ paths, tasks, scope, allowed, forbidden }, {
+      paths: ["05-events/*"],
+      tasks: ["1-slider"],
+      scope: "events.",
+      allowed: ["async"],
+      forbidden: ["fetch"],
+    });
+    assert.match(content, /Forbidden: `async`, `fetch`\n\n## 05-events\n[^]*Forbidden: `fetch`\n\n## 07-async\n/);
+  });
+
+  it("appends a module that comes after all others", () => {
+    const content = registerTask(MODULES, "11-webpack", "1-pages", { scope: "webpack." });
+    const registry = parseModuleRegistry(content);
+
+    assert.equal(Object.keys(registry).at(-1), "11-webpack");
+    assert.deepEqual(registry["11-webpack"].allowed, []);
+    assert.deepEqual(registry["11-webpack"].forbidden, []);
+    assert.ok(content.endsWith("Allowed: —\nForbidden: —\n"));
+  });
+
+  it("forbids every known concept in a module before the first one", () => {
+    const registry = parseModuleRegistry(registerTask(MODULES, "00-setup", "1-hello", { scope: "setup." }));
+
+    assert.equal(Object.keys(registry)[0], "00-setup");
+    assert.deepEqual(registry["00-setup"].forbidden, ["classes", "dom", "async", "fetch"]);
+  });
+});
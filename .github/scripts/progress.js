@@ -0,0 +1,252 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadModuleRegistry } from "./module-registry.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const DEFAULT_OUT_DIR = path.join(ROOT_DIR, "results", "progress");
+const TASK_PATH_PATTERN = /^([0-9]{2}-[\w-]+)\/([^/]+)\//;
+
+const STATUS_LABELS = {
+  passed: "✅ решена",
+  failed: "❌ тесты падают",
+  missing: "⬜ нет решения",
+};
+
+const USAGE = `Usage: node .github/scripts/progress.js [--report <path>] [--out <dir>]
+
+Builds a course progress report (progress.md, index.html, progress.json) from
+the jest results. Without --report the test suite is run first.
+
+  --report <path>  JSON written by jest-json-reporter.js (defaults to $JEST_REPORT_PATH)
+  --out <dir>      output directory (defaults to results/progress)`;
+
+function runTests(reportPath) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      "npm",
+      ["test", "--silent"],
+      { cwd: ROOT_DIR, env: { ...process.env, CI: "true", JEST_REPORT_PATH: reportPath }, maxBuffer: 64 * 1024 * 1024 },
+      // failing tests are part of the progress, not an error
+      () => resolve()
+    );
+    child.stderr.pipe(process.stderr);
+  });
+}
+
+function getTaskId(test) {
+  if (test.task) return test.task;
+  const match = TASK_PATH_PATTERN.exec(test.file || "");
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+function collectTaskResults(report) {
+  const tasks = new Map();
+
+  for (const test of report.result.jest) {
+    const taskId = getTaskId(test);
+    if (!taskId) continue;
+
+    const status = test.status || (test.success ? "passed" : "failed");
+    const counts = tasks.get(taskId) || { passed: 0, failed: 0 };
+    if (status === "passed" || status === "failed") counts[status] += 1;
+    tasks.set(taskId, counts);
+  }
+
+  return tasks;
+}
+
+function getTaskStatus(counts) {
+  if (!counts || counts.passed + counts.failed === 0) return "missing";
+  return counts.failed > 0 ? "failed" : "passed";
+}
+
+function buildProgress(registry, taskResults, previous) {
+  const previouslyPassed = new Set(
+    (previous?.modules || []).flatMap((module) => module.tasks.filter((t) => t.status === "passed").map((t) => t.id))
+  );
+  const listedTasks = new Set();
+
+  const modules = Object.values(registry)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((module) => {
+      const tasks = module.tasks.map((taskName) => {
+        const id = `${module.id}/${taskName}`;
+        const counts = taskResults.get(id);
+        const status = getTaskStatus(counts);
+        listedTasks.add(id);
+        return {
+          id,
+          status,
+          passed: counts?.passed || 0,
+          failed: counts?.failed || 0,
+          newlyPassed: status === "passed" && previous !== null && !previouslyPassed.has(id),
+        };
+      });
+      const done = tasks.filter((task) => task.status === "passed").length;
+
+      return { id: module.id, done, total: tasks.length, tasks };
+    });
+
+  const unlisted = [...taskResults.keys()].filter((id) => !listedTasks.has(id)).sort();
+  const done = modules.reduce((sum, module) => sum + module.done, 0);
+  const total = modules.reduce((sum, module) => sum + module.total, 0);
+
+  return { generatedAt: new Date().toISOString(), done, total, modules, unlisted };
+}
+
+function percent(done, total) {
+  return total ? Math.round((done / total) * 100) : 0;
+}
+
+function renderMarkdown(progress) {
+  const lines = [
+    "# Прогресс по курсу",
+    "",
+    `Решено задач: **${progress.done} из ${progress.total}** (${percent(progress.done, progress.total)}%).`,
+    "",
+    "| Модуль | Решено | Задачи |",
+    "| --- | --- | --- |",
+  ];
+
+  progress.modules.forEach((module) => {
+    const tasks = module.tasks.length
+      ? module.tasks
+        .map((task) => `${task.id.split("/")[1]}: ${STATUS_LABELS[task.status]}${task.newlyPassed ? " 🆕" : ""}`)
+        .join("<br>")
+      : "задачи не перечислены в modules.md";
+    lines.push(`| ${module.id} | ${module.done}/${module.total} | ${tasks} |`);
+  });
+
+  const newlyPassed = progress.modules.flatMap((module) => module.tasks.filter((task) => task.newlyPassed));
+  if (newlyPassed.length > 0) {
+    lines.push("", "## Новые решённые задачи", "");
+    newlyPassed.forEach((task) => lines.push(`- ${task.id}`));
+  }
+
+  const missing = progress.modules.flatMap((module) => module.tasks.filter((task) => task.status === "missing"));
+  if (missing.length > 0) {
+    lines.push("", "## Задачи без решения", "");
+    missing.forEach((task) => lines.push(`- ${task.id}`));
+  }
+
+  if (progress.unlisted.length > 0) {
+    lines.push("", "## Тесты задач, которых нет в modules.md", "");
+    progress.unlisted.forEach((id) => lines.push(`- ${id}`));
+  }
+
+  lines.push("", `_Сформировано ${progress.generatedAt}_`, "");
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderHtml(progress) {
+  const rows = progress.modules
+    .map((module) => {
+      const tasks = module.tasks
+        .map((task) => `<li class="${task.status}">${escapeHtml(task.id.split("/")[1])}: ${STATUS_LABELS[task.status]}`
+          + `${task.newlyPassed ? ' <span class="new">новая</span>' : ""}</li>`)
+        .join("");
+      const value = percent(module.done, module.total);
+
+      return `<tr>
+        <td>${escapeHtml(module.id)}</td>
+        <td><progress max="100" value="${value}"></progress> ${module.done}/${module.total}</td>
+        <td><ul>${tasks || "<li>задачи не перечислены в modules.md</li>"}</ul></td>
+      </tr>`;
+    })
+    .join("\n");
+
+  const unlisted = progress.unlisted.length
+    ? `<h2>Тесты задач, которых нет в modules.md</h2><ul>${progress.unlisted.map((id) => `<li>${escapeHtml(id)}</li>`).join("")}</ul>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Прогресс по курсу</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; }
+    td, th { border: 1px solid #ccc; padding: .5rem; vertical-align: top; text-align: left; }
+    ul { margin: 0; padding-left: 1.2rem; }
+    .failed { color: #b00020; }
+    .missing { color: #777; }
+    .new { background: #e6f4ea; padding: 0 .3rem; border-radius: .2rem; }
+  </style>
+</head>
+<body>
+  <h1>Прогресс по курсу</h1>
+  <p>Решено задач: <strong>${progress.done} из ${progress.total}</strong> (${percent(progress.done, progress.total)}%).</p>
+  <table>
+    <thead><tr><th>Модуль</th><th>Решено</th><th>Задачи</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  ${unlisted}
+  <p><small>Сформировано ${escapeHtml(progress.generatedAt)}</small></p>
+</body>
+</html>
+`;
+}
+
+async function readPreviousProgress(progressPath) {
+  try {
+    return JSON.parse(await fs.readFile(progressPath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function main(args) {
+  if (args.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const outDir = path.resolve(option("--out") || DEFAULT_OUT_DIR);
+  let reportPath = option("--report") || process.env.JEST_REPORT_PATH;
+
+  if (!reportPath) {
+    reportPath = path.join(outDir, "jest-report.json");
+    console.log("Running the test suite…");
+    await runTests(reportPath);
+  }
+
+  const report = JSON.parse(await fs.readFile(reportPath, "utf8"));
+  const registry = await loadModuleRegistry();
+  const progressPath = path.join(outDir, "progress.json");
+  const previous = await readPreviousProgress(progressPath);
+  const progress = buildProgress(registry, collectTaskResults(report), previous);
+
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(progressPath, JSON.stringify(progress, null, 2));
+  await fs.writeFile(path.join(outDir, "progress.md"), renderMarkdown(progress));
+  await fs.writeFile(path.join(outDir, "index.html"), renderHtml(progress));
+
+  console.log(`Solved ${progress.done} of ${progress.total} tasks; report written to ${path.relative(ROOT_DIR, outDir)}`);
+}
+
+export { buildProgress, collectTaskResults, renderHtml, renderMarkdown };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error("Progress report failed", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,73 @@
+import assert from "assert/strict";
+import fs from "fs";
+import { describe, it } from "node:test";
+import { parseModuleRegistry } from "./module-registry.js";
+import { buildProgress, collectTaskResults, renderHtml, renderMarkdown } from "./progress.js";
+
+const REPORT = JSON.parse(fs.readFileSync(new URL("./__fixtures__/progress-report.json", import.meta.url), "utf8"));
+
+const REGISTRY = parseModuleRegistry(`# Modules
+
+## 01-intro
+Tasks: \`1-sum\`, \`2-sub\`, \`3-mul\`
+
+## 02-dom
+Tasks: \`1-table\`
+`);
+
+function taskStatuses(progress) {
+  return Object.fromEntries(progress.modules.flatMap((module) => module.tasks.map((task) => [task.id, task.status])));
+}
+
+describe("progress", () => {
+  it("counts passed and failed tests per task", () => {
+    assert.deepEqual([...collectTaskResults(REPORT)], [
+      ["01-intro/1-sum", { passed: 2, failed: 0 }],
+      ["01-intro/2-sub", { passed: 1, failed: 1 }],
+      ["02-dom/1-table", { passed: 0, failed: 0 }],
+      ["99-extra/1-ping", { passed: 1, failed: 0 }],
+    ]);
+  });
+
+  it("marks every task of modules.md as solved, failing or missing", () => {
+    const progress = buildProgress(REGISTRY, collectTaskResults(REPORT), null);
+
+    assert.deepEqual(taskStatuses(progress), {
+      "01-intro/1-sum": "passed",
+      "01-intro/2-sub": "failed",
+      "01-intro/3-mul": "missing",
+      "02-dom/1-table": "missing",
+    });
+    assert.deepEqual(progress.modules.map(({ id, done, total }) => ({ id, done, total })), [
+      { id: "01-intro", done: 1, total: 3 },
+      { id: "02-dom", done: 0, total: 1 },
+    ]);
+    assert.equal(progress.done, 1);
+    assert.equal(progress.total, 4);
+    assert.deepEqual(progress.unlisted, ["99-extra/1-ping"]);
+    assert.ok(progress.modules.every((module) => module.tasks.every((task) => !task.newlyPassed)));
+  });
+
+  it("marks the tasks solved since the previous report", () => {
+    const previous = { modules: [{ id: "01-intro", tasks: [{ id: "01-intro/2-sub", status: "passed" }] }] };
+    const report = { result: { jest: REPORT.result.jest.filter((test) => test.status !== "failed") } };
+    const progress = buildProgress(REGISTRY, collectTaskResults(report), previous);
+    const newlyPassed = progress.modules.flatMap((module) => module.tasks.filter((task) => task.newlyPassed));
+
+    assert.deepEqual(newlyPassed.map((task) => task.id), ["01-intro/1-sum"]);
+  });
+
+  it("renders the progress as Markdown and HTML", () => {
+    const progress = { ...buildProgress(REGISTRY, collectTaskResults(REPORT), null), generatedAt: "2024-01-01T00:00:00.000Z" };
+    const markdown = renderMarkdown(progress);
+    const html = renderHtml(progress);
+
+    assert.match(markdown, /Решено задач: \*\*1 из 4\*\* \(25%\)\./);
+    assert.match(markdown, /\| 01-intro \| 1\/3 \| 1-sum: ✅ решена<br>2-sub: ❌ тесты падают<br>3-mul: ⬜ нет решения \|/);
+    assert.match(markdown, /## Задачи без решения\n\n- 01-intro\/3-mul\n- 02-dom\/1-table/);
+    assert.match(markdown, /## Тесты задач, которых нет в modules\.md\n\n- 99-extra\/1-ping/);
+    assert.match(html, /<progress max="100" value="33"><\/progress> 1\/3/);
+    assert.match(html, /<li class="failed">2-sub: ❌ тесты падают<\/li>/);
+    assert.match(html, /<li>99-extra\/1-ping<\/li>/);
+  });
+});
@@ -0,0 +1,27 @@
+const CHARS_PER_TOKEN = 3; // conservative: Cyrillic READMEs tokenize denser than English code
+
+const TASK_SOLUTION_PATTERN = /^[0-9]{2}-[\w-]+\/[^/]+\/index\.js$/;
+const TEST_FILE_PATTERN = /\.(test|spec)\.js$/;
+const SOURCE_FILE_PATTERN = /\.(js|mjs|css|html)$/;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Lower value means the file is more important for the review:
+ * task solutions first, then other task sources, tests, and fixtures/everything else.
+ */
+function filePriority(filename) {
+  if (TASK_SOLUTION_PATTERN.test(filename)) return 0;
+  if (TEST_FILE_PATTERN.test(filename)) return 2;
+  if (filename.includes("__mocks__") || filename.includes("fixtures")) return 3;
+  if (SOURCE_FILE_PATTERN.test(filename)) return 1;
+  return 3;
+}
+
+function sortByPriority(changedFiles) {
+  return [...changedFiles].sort((a, b) => filePriority(a.filename) - filePriority(b.filename));
+}
+
+export { estimateTokens, filePriority, sortByPriority };
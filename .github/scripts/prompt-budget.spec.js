@@ -0,0 +1,30 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { estimateTokens, filePriority, sortByPriority } from "./prompt-budget.js";
+
+describe("prompt-budget", () => {
+  it("estimates about three characters per token, rounding up", () => {
+    assert.equal(estimateTokens(""), 0);
+    assert.equal(estimateTokens("abc"), 1);
+    assert.equal(estimateTokens("abcd"), 2);
+  });
+
+  it("puts task solutions first and fixtures last", () => {
+    assert.equal(filePriority("01-intro/1-sum/index.js"), 0);
+    assert.equal(filePriority("04-oop/1-column-chart/helpers.js"), 1);
+    assert.equal(filePriority("01-intro/1-sum/index.spec.js"), 2);
+    assert.equal(filePriority("07-async/1-sortable-table/__mocks__/products.js"), 3);
+    assert.equal(filePriority("01-intro/1-sum/README.md"), 3);
+
+    const sorted = sortByPriority([
+      { filename: "01-intro/1-sum/index.spec.js" },
+      { filename: "01-intro/1-sum/README.md" },
+      { filename: "01-intro/1-sum/index.js" },
+    ]);
+    assert.deepEqual(sorted.map(({ filename }) => filename), [
+      "01-intro/1-sum/index.js",
+      "01-intro/1-sum/index.spec.js",
+      "01-intro/1-sum/README.md",
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import crypto from "crypto";
+import fs from "fs/promises";
+
+const DEFAULT_PROVIDER = "gemini";
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash",
+  openai: "gpt-4o-mini",
+  fixture: "fixture",
+};
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+function hashPrompt(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex");
+}
+
+function createGeminiProvider({ model, apiKey }) {
+  if (!apiKey) throw new Error("GEMINI_API_KEY or GOOGLE_API_KEY is required for the gemini provider");
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+    async generate(prompt) {
+      const generativeModel = genAI.getGenerativeModel({ model });
+      const result = await generativeModel.generateContent(prompt);
+      return result.response.text();
+    },
+  };
+}
+
+function createOpenAiProvider({ model, apiKey, baseUrl }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    async generate(prompt) {
+      const headers = { "Content-Type": "application/json" };
+      // self-hosted OpenAI-compatible servers often run without auth
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        const details = await response.text().catch(() => "");
+        throw new Error(`OpenAI-compatible provider responded with ${response.status}: ${details}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? "";
+    },
+  };
+}
+
+/**
+ * Fixture file format:
+ * - an array of raw responses, replayed in call order;
+ * - or an object `{ "responses": { "<sha256 of prompt>": "..." }, "default": "..." }`.
+ */
+async function createFixtureProvider({ model, fixturePath }) {
+  if (!fixturePath) throw new Error("REVIEWER_FIXTURE_PATH is required for the fixture provider");
+
+  const fixture = JSON.parse(await fs.readFile(fixturePath, "utf8"));
+  let callIndex = 0;
+
+  return {
+    name: "fixture",
+    model,
+    async generate(prompt) {
+      if (Array.isArray(fixture)) {
+        if (callIndex >= fixture.length) {
+          throw new Error(`Fixture ${fixturePath} has no response for call #${callIndex + 1}`);
+        }
+        return fixture[callIndex++];
+      }
+
+      const key = hashPrompt(prompt);
+      const recorded = fixture.responses?.[key] ?? fixture.default;
+      if (recorded === undefined) {
+        throw new Error(`Fixture ${fixturePath} has no response for prompt ${key}`);
+      }
+      return recorded;
+    },
+  };
+}
+
+/**
+ * Environment variables win over `defaults` (the `model` section of
+ * reviewer.config.yml); the configured model name is used only with the
+ * configured provider.
+ */
+function resolveProviderConfig(env = process.env, defaults = {}) {
+  const name = (env.REVIEWER_PROVIDER || defaults.provider || DEFAULT_PROVIDER).toLowerCase();
+  if (!(name in DEFAULT_MODELS)) {
+    throw new Error(`Unknown REVIEWER_PROVIDER "${name}"; expected one of: ${Object.keys(DEFAULT_MODELS).join(", ")}`);
+  }
+  const configuredModel = !defaults.provider || defaults.provider === name ? defaults.name : null;
+
+  return {
+    name,
+    model: env.REVIEWER_MODEL || configuredModel || DEFAULT_MODELS[name],
+    geminiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY,
+    openAiKey: env.OPENAI_API_KEY,
+    openAiBaseUrl: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+    fixturePath: env.REVIEWER_FIXTURE_PATH,
+  };
+}
+
+async function createProvider(config = resolveProviderConfig()) {
+  switch (config.name) {
+    case "gemini":
+      return createGeminiProvider({ model: config.model, apiKey: config.geminiKey });
+    case "openai":
+      return createOpenAiProvider({ model: config.model, apiKey: config.openAiKey, baseUrl: config.openAiBaseUrl });
+    case "fixture":
+      return createFixtureProvider({ model: config.model, fixturePath: config.fixturePath });
+    default:
+      throw new Error(`Unsupported provider: ${config.name}`);
+  }
+}
+
+export { createProvider, hashPrompt, resolveProviderConfig };
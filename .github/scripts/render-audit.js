@@ -0,0 +1,95 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MODULE_ID_PATTERN } from "./module-registry.js";
+import { getChangedPaths, selectTasks } from "./test-changed.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+// the DOM components start with 04-oop-basic-intro-to-dom
+const FIRST_COMPONENT_MODULE = 4;
+const DEFAULT_REPORT_PATH = "results/render-report.json";
+
+const USAGE = `Usage: node .github/scripts/render-audit.js [<base>[..<head>]]
+
+Renders the component tasks (module 04 and later) touched by the change in
+jsdom with the props of render-audit/fixtures.js: captures the markup of
+\`element\`, runs a basic accessibility audit and checks that remove() and
+destroy() clean up. The result is written to $RENDER_REPORT_PATH (defaults
+to ${DEFAULT_REPORT_PATH}) for the AI reviewer. Without a range, uncommitted
+and untracked files are compared with HEAD; <base>...<head> compares <head>
+with the merge base, like the diff of a PR. When a shared file changes,
+every component task is rendered.`;
+
+async function exists(relativePath) {
+  try {
+    await fs.access(path.join(ROOT_DIR, relativePath));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function listAllTasks() {
+  const tasks = [];
+  for (const module of (await fs.readdir(ROOT_DIR)).filter((name) => MODULE_ID_PATTERN.test(name)).sort()) {
+    const entries = await fs.readdir(path.join(ROOT_DIR, module), { withFileTypes: true });
+    tasks.push(...entries.filter((entry) => entry.isDirectory()).map((entry) => `${module}/${entry.name}`));
+  }
+  return tasks;
+}
+
+async function selectComponentTasks(tasks) {
+  const selected = [];
+  for (const task of tasks) {
+    if (parseInt(task, 10) >= FIRST_COMPONENT_MODULE && (await exists(`${task}/index.js`))) {
+      selected.push(task);
+    }
+  }
+  return selected;
+}
+
+function runAudit(tasks, reportPath) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      process.execPath,
+      [path.join(ROOT_DIR, "node_modules/jest/bin/jest.js"), "--config", "render-audit/jest.config.js"],
+      {
+        cwd: ROOT_DIR,
+        stdio: "inherit",
+        env: {
+          ...process.env,
+          NODE_ICU_DATA: "node_modules/full-icu",
+          RENDER_AUDIT_TASKS: JSON.stringify(tasks),
+          RENDER_REPORT_PATH: path.resolve(ROOT_DIR, reportPath),
+        },
+      }
+    );
+    child.on("close", (code) => resolve(code ?? 1));
+  });
+}
+
+async function main(args) {
+  if (args.includes("--help")) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const changedTasks = await selectTasks(await getChangedPaths(args[0]));
+  const tasks = await selectComponentTasks(changedTasks === null ? await listAllTasks() : changedTasks);
+
+  if (tasks.length === 0) {
+    console.log("No component tasks changed; nothing to render.");
+    return 0;
+  }
+
+  console.log(`Rendering: ${tasks.join(", ")}`);
+  return runAudit(tasks, process.env.RENDER_REPORT_PATH || DEFAULT_REPORT_PATH);
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("Render audit failed", error);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+import fs from "fs/promises";
+import { fenceUntrusted } from "./injection-guard.js";
+
+// rules of render-audit/audit.js and render-audit/runner.js
+const A11Y_MESSAGES = {
+  "img-alt": "у картинки нет атрибута `alt`",
+  "control-name": "у кнопки или ссылки нет текста, `aria-label` или `title` — скринридер не сможет её назвать",
+  "input-label": "у поля ввода нет подписи (`<label>`, `aria-label` или `aria-labelledby`)",
+  "role-invalid": "неизвестное значение `role`",
+  "tabindex-positive": "положительный `tabindex` ломает порядок обхода с клавиатуры",
+  "clickable-focusable": "есть обработчик клика, но элемент недоступен с клавиатуры: используй `<button>` или добавь `tabindex=\"0\"` и обработку клавиш",
+};
+
+// error messages, class names and attribute values come from the student's code
+const MAX_VALUE_LENGTH = 200;
+
+const CLEANUP_MESSAGES = {
+  "remove-detach": "после remove() элемент остался в документе",
+  "destroy-detach": "после destroy() элемент остался в документе",
+  "destroy-listeners": "после destroy() остались обработчики событий",
+  "destroy-nodes": "после destroy() в документе остались элементы",
+  "destroy-error": "destroy() выбросил ошибку",
+  "no-destroy": "нет метода destroy()",
+};
+
+/**
+ * Reads the report of `.github/scripts/render-audit.js`. Returns null when no
+ * path is configured or the file is missing: PRs without component tasks
+ * have no report.
+ */
+async function loadRenderReport(reportPath = process.env.RENDER_REPORT_PATH) {
+  if (!reportPath) return null;
+
+  let raw;
+  try {
+    raw = await fs.readFile(reportPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const report = JSON.parse(raw);
+  if (!Array.isArray(report?.tasks)) {
+    throw new Error(`Render report ${reportPath} has no tasks array`);
+  }
+  return report;
+}
+
+function selectRenderResults(report, tasks) {
+  return report ? report.tasks.filter((result) => tasks.includes(result.task)) : [];
+}
+
+/**
+ * Inline code of a value taken from the student's code: one line, capped,
+ * with backticks replaced so the value cannot close the code span and turn
+ * into markdown of the review body.
+ */
+function formatValue(value) {
+  const text = String(value).replace(/\s+/g, " ").replace(/`/g, "'").trim();
+  return `\`${text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text}\``;
+}
+
+function formatA11yIssue({ rule, target, count }) {
+  return `${A11Y_MESSAGES[rule] || rule}: ${formatValue(target)}${count > 1 ? ` (×${count})` : ""}`;
+}
+
+function formatCleanupIssue({ rule, detail }) {
+  return `${CLEANUP_MESSAGES[rule] || rule}${detail ? `: ${formatValue(detail)}` : ""}`;
+}
+
+function describeComponent({ task, component }) {
+  return `\`${task}\`${component ? ` (${formatValue(component)})` : ""}`;
+}
+
+function describeAudit(result) {
+  if (result.status !== "rendered") {
+    return `Component: ${formatValue(result.component || "unknown")}\nCould not be rendered: ${formatValue(result.error)}`;
+  }
+
+  const problems = [...result.a11y.map(formatA11yIssue), ...result.cleanup.map(formatCleanupIssue)];
+  return [
+    `Component: ${formatValue(result.component)}`,
+    problems.length > 0 ? `Audit:\n${problems.map((problem) => `- ${problem}`).join("\n")}` : "Audit: no problems found.",
+  ].join("\n");
+}
+
+/**
+ * Prompt section with the rendered markup of the component tasks. The markup,
+ * the component name, the errors and the audited attributes are produced by
+ * the student's code and the task folder is named by the student, so they are
+ * fenced like the changed files.
+ */
+function formatRenderContext(results) {
+  if (results.length === 0) return "";
+
+  const tasks = results.map((result) => {
+    const audit = fenceUntrusted("render_audit", `Task: ${result.task}\n${describeAudit(result)}`);
+    if (result.status !== "rendered") return audit;
+
+    return [
+      audit,
+      `Markup of \`element\`${result.fixture ? " with the fixture props" : " created without arguments"}${result.htmlTruncated ? " (truncated)" : ""}:`,
+      fenceUntrusted("rendered_html", result.html),
+    ].join("\n");
+  });
+
+  return `
+#### Rendered components
+The CI rendered the component tasks in jsdom and audited them (accessibility, cleanup in remove()/destroy()). Use the markup to comment on what the component actually produces. The audit problems are already listed in the review body: do not repeat them.
+${tasks.join("\n\n")}
+`;
+}
+
+/**
+ * Deterministic review section: whether every component rendered, with the
+ * accessibility and cleanup problems found by the audit.
+ */
+function formatRenderSection(results) {
+  if (results.length === 0) return "";
+
+  const lines = ["**Проверка компонентов в jsdom:**"];
+  results.forEach((result) => {
+    if (result.status === "skipped") return;
+    if (result.status !== "rendered") {
+      lines.push(`- ${describeComponent(result)}: не удалось отрисовать — ${formatValue(result.error)}`);
+      return;
+    }
+
+    const problems = [
+      ...result.a11y.map((issue) => `доступность: ${formatA11yIssue(issue)}`),
+      ...result.cleanup.map((issue) => `очистка: ${formatCleanupIssue(issue)}`),
+    ];
+    lines.push(
+      problems.length === 0
+        ? `- ${describeComponent(result)}: отрисовался, замечаний нет ✅`
+        : [`- ${describeComponent(result)}:`, ...problems.map((problem) => `  - ${problem}`)].join("\n")
+    );
+  });
+
+  return lines.length > 1 ? lines.join("\n") : "";
+}
+
+export { formatRenderContext, formatRenderSection, loadRenderReport, selectRenderResults };
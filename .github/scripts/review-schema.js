@@ -0,0 +1,103 @@
+import { validateGrades } from "./grading.js";
+import { COMMENT_CATEGORIES } from "./reviewer-memory.js";
+
+const CONCLUSIONS = ["APPROVE", "REQUEST_CHANGES"];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+function validateComment(comment, index, changedFilenames) {
+  const at = `comments[${index}]`;
+  const errors = [];
+
+  if (!comment || typeof comment !== "object" || Array.isArray(comment)) {
+    return [{ rule: "comment.type", message: `${at} must be an object` }];
+  }
+
+  if (typeof comment.filepath !== "string" || comment.filepath.length === 0) {
+    errors.push({ rule: "comment.filepath.required", message: `${at}.filepath must be a non-empty string` });
+  } else if (!changedFilenames.has(comment.filepath)) {
+    errors.push({
+      rule: "comment.filepath.changed",
+      message: `${at}.filepath "${comment.filepath}" is not among the changed files`,
+    });
+  }
+
+  if (!isPositiveInteger(comment.start_line)) {
+    errors.push({ rule: "comment.start_line.type", message: `${at}.start_line must be a positive integer` });
+  }
+
+  if (comment.end_line !== undefined && comment.end_line !== null) {
+    if (!isPositiveInteger(comment.end_line)) {
+      errors.push({ rule: "comment.end_line.type", message: `${at}.end_line must be a positive integer` });
+    } else if (isPositiveInteger(comment.start_line) && comment.start_line > comment.end_line) {
+      errors.push({ rule: "comment.range", message: `${at}.start_line must be <= end_line` });
+    }
+  }
+
+  if (typeof comment.comment !== "string" || comment.comment.trim().length === 0) {
+    errors.push({ rule: "comment.comment.required", message: `${at}.comment must be a non-empty string` });
+  }
+
+  // optional, feeds the per-student review history
+  if (comment.category !== undefined && !COMMENT_CATEGORIES.includes(comment.category)) {
+    errors.push({ rule: "comment.category.enum", message: `${at}.category must be one of ${COMMENT_CATEGORIES.join(", ")}` });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a parsed model response against the
+ * `{ conclusion, general_comment, comments[] }` contract from `buildPrompt`.
+ * With `gradedTasks` (grading mode) the response must also grade these tasks.
+ * Returns a list of `{ rule, message }`; an empty list means the response is valid.
+ */
+function validateReviewResponse(parsed, changedFiles, gradedTasks = null) {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return [{ rule: "root.type", message: "response must be a JSON object" }];
+  }
+
+  const errors = [];
+  const changedFilenames = new Set(changedFiles.map((f) => f.filename));
+
+  if (!CONCLUSIONS.includes(parsed.conclusion)) {
+    errors.push({ rule: "conclusion.enum", message: `conclusion must be one of ${CONCLUSIONS.join(", ")}` });
+  }
+
+  if (typeof parsed.general_comment !== "string") {
+    errors.push({ rule: "general_comment.type", message: "general_comment must be a string" });
+  }
+
+  if (!Array.isArray(parsed.comments)) {
+    errors.push({ rule: "comments.type", message: "comments must be an array" });
+  } else {
+    parsed.comments.forEach((comment, index) => {
+      errors.push(...validateComment(comment, index, changedFilenames));
+    });
+  }
+
+  if (gradedTasks) {
+    errors.push(...validateGrades(parsed.grades, gradedTasks));
+  }
+
+  return errors;
+}
+
+function buildCorrectionPrompt(prompt, rawResponse, errors) {
+  const problems = errors.map(({ message }) => `- ${message}`).join("\n");
+
+  return `${prompt}
+
+#### Correction
+Your previous response did not match the required JSON structure:
+${problems}
+
+Previous response:
+${rawResponse || "(empty)"}
+
+Fix these problems and respond again with the complete review as JSON only.`;
+}
+
+export { buildCorrectionPrompt, validateReviewResponse };
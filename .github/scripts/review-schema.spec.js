@@ -0,0 +1,61 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { buildCorrectionPrompt, validateReviewResponse } from "./review-schema.js";
+
+const changedFiles = [{ filename: "01-intro/1-sum/index.js" }];
+
+const comment = (fields = {}) => ({
+  filepath: "01-intro/1-sum/index.js",
+  start_line: 2,
+  comment: "Мне кажется, здесь лучше вернуть результат сразу.",
+  ...fields,
+});
+
+const response = (fields = {}) => ({ conclusion: "APPROVE", general_comment: "Хорошо.", comments: [comment()], ...fields });
+
+const rules = (parsed) => validateReviewResponse(parsed, changedFiles).map(({ rule }) => rule);
+
+describe("review-schema", () => {
+  it("accepts a response of the contract", () => {
+    assert.deepEqual(rules(response()), []);
+    assert.deepEqual(rules(response({ conclusion: "REQUEST_CHANGES", comments: [comment({ end_line: 4 })] })), []);
+  });
+
+  it("rejects a missing or unknown conclusion", () => {
+    const { conclusion, ...withoutConclusion } = response();
+
+    assert.deepEqual(rules(withoutConclusion), ["conclusion.enum"]);
+    assert.deepEqual(rules(response({ conclusion: "COMMENT" })), ["conclusion.enum"]);
+    assert.deepEqual(rules(response({ conclusion: "approve" })), ["conclusion.enum"]);
+  });
+
+  it("rejects a response that is not an object", () => {
+    assert.deepEqual(rules([]), ["root.type"]);
+    assert.deepEqual(rules(null), ["root.type"]);
+  });
+
+  it("rejects bad line numbers", () => {
+    assert.deepEqual(rules(response({ comments: [comment({ start_line: 0 })] })), ["comment.start_line.type"]);
+    assert.deepEqual(rules(response({ comments: [comment({ start_line: "2" })] })), ["comment.start_line.type"]);
+    assert.deepEqual(rules(response({ comments: [comment({ start_line: 2.5 })] })), ["comment.start_line.type"]);
+    assert.deepEqual(rules(response({ comments: [comment({ end_line: -1 })] })), ["comment.end_line.type"]);
+    assert.deepEqual(rules(response({ comments: [comment({ start_line: 5, end_line: 3 })] })), ["comment.range"]);
+  });
+
+  it("rejects comments on files outside the change and without a text", () => {
+    assert.deepEqual(rules(response({ comments: [comment({ filepath: "02-basics/1-pow/index.js" })] })), [
+      "comment.filepath.changed",
+    ]);
+    assert.deepEqual(rules(response({ comments: [comment({ comment: " " })] })), ["comment.comment.required"]);
+    assert.deepEqual(rules(response({ comments: [comment({ category: "praise" })] })), ["comment.category.enum"]);
+  });
+
+  it("lists the problems and the previous response in the correction prompt", () => {
+    const errors = validateReviewResponse(response({ conclusion: "LGTM" }), changedFiles);
+    const prompt = buildCorrectionPrompt("Review this.", '{"conclusion":"LGTM"}', errors);
+
+    assert.ok(prompt.startsWith("Review this.\n"));
+    assert.ok(prompt.includes("- conclusion must be one of APPROVE, REQUEST_CHANGES"));
+    assert.ok(prompt.includes('Previous response:\n{"conclusion":"LGTM"}'));
+  });
+});
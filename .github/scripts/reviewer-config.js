@@ -0,0 +1,208 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { globToRegExp } from "./file-guard.js";
+
+const DEFAULT_CONFIG_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../reviewer.config.yml");
+const CONFIG_VERSION = 1;
+
+const TONES = {
+  informal: "personal and informal, as though you're reviewing the student's code directly, offering genuine and helpful advice",
+  neutral: "neutral and matter-of-fact, focused on the code rather than on the student",
+  formal: "polite and formal, addressing the student in the formal register of the review language",
+};
+
+// sections of the prompt (see buildPrompt) that `prompt.sections` may replace
+const PROMPT_SECTIONS = ["role", "context", "criteria", "guidelines"];
+
+const DEFAULT_CONFIG = {
+  version: CONFIG_VERSION,
+  model: {
+    provider: null,
+    name: null,
+  },
+  review: {
+    language: "Russian",
+    tone: "informal",
+    maxComments: null,
+    contextPadding: 2,
+    maxLinesPerFile: 400,
+    // estimated tokens per model call, see prompt-budget.js
+    maxPromptTokens: 60000,
+    ignoredPaths: [],
+  },
+  policy: {
+    approve: "APPROVE",
+    requestChanges: "REQUEST_CHANGES",
+    selfReview: "COMMENT",
+  },
+  prompt: {
+    sections: {},
+  },
+  grading: {
+    enabled: false,
+    testsWeight: 0.4,
+    outputDir: "results/grades",
+  },
+  similarity: {
+    enabled: false,
+    threshold: 0.8,
+    minTokens: 40,
+    corpusDir: ".cache/ai-reviewer-similarity/corpus",
+    outputDir: ".cache/ai-reviewer-similarity/reports",
+  },
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+const oneOf = (values) => (value) => values.includes(value);
+
+/**
+ * Field path -> [check, description]. Every field is optional; a missing
+ * field keeps its value from DEFAULT_CONFIG.
+ */
+const FIELD_RULES = {
+  "model.provider": [oneOf(["gemini", "openai", "fixture"]), "one of gemini, openai, fixture"],
+  "model.name": [isNonEmptyString, "a non-empty string"],
+  "review.language": [isNonEmptyString, "a non-empty string, e.g. Russian"],
+  "review.tone": [oneOf(Object.keys(TONES)), `one of ${Object.keys(TONES).join(", ")}`],
+  "review.maxComments": [(value) => value === null || isPositiveInteger(value), "a positive integer or null (no limit)"],
+  "review.contextPadding": [isNonNegativeInteger, "a non-negative integer"],
+  "review.maxLinesPerFile": [isPositiveInteger, "a positive integer"],
+  "review.maxPromptTokens": [isPositiveInteger, "a positive integer"],
+  "review.ignoredPaths": [(value) => Array.isArray(value) && value.every(isNonEmptyString), "a list of path globs"],
+  "policy.approve": [oneOf(["APPROVE", "COMMENT"]), "APPROVE or COMMENT"],
+  "policy.requestChanges": [oneOf(["REQUEST_CHANGES", "COMMENT"]), "REQUEST_CHANGES or COMMENT"],
+  "policy.selfReview": [oneOf(["COMMENT", "KEEP"]), "COMMENT (downgrade reviews of your own PR) or KEEP"],
+  "grading.enabled": [(value) => typeof value === "boolean", "true or false"],
+  "grading.testsWeight": [(value) => typeof value === "number" && value >= 0 && value <= 1, "a number from 0 to 1"],
+  "grading.outputDir": [isNonEmptyString, "a non-empty path"],
+  "similarity.enabled": [(value) => typeof value === "boolean", "true or false"],
+  "similarity.threshold": [(value) => typeof value === "number" && value >= 0 && value <= 1, "a number from 0 to 1"],
+  "similarity.minTokens": [isNonNegativeInteger, "a non-negative integer"],
+  "similarity.corpusDir": [isNonEmptyString, "a non-empty path"],
+  "similarity.outputDir": [isNonEmptyString, "a non-empty path"],
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validates a parsed config file against FIELD_RULES.
+ * Returns a list of `{ path, message }`; an empty list means the config is valid.
+ */
+function validateReviewerConfig(config) {
+  if (!isPlainObject(config)) return [{ path: "(root)", message: "the config must be a YAML mapping" }];
+
+  const errors = [];
+  if (config.version !== CONFIG_VERSION) {
+    errors.push({ path: "version", message: `must be ${CONFIG_VERSION}` });
+  }
+
+  for (const [group, value] of Object.entries(config)) {
+    if (group === "version") continue;
+    if (!(group in DEFAULT_CONFIG)) {
+      errors.push({ path: group, message: `unknown section; expected one of ${Object.keys(DEFAULT_CONFIG).join(", ")}` });
+      continue;
+    }
+    if (!isPlainObject(value)) {
+      errors.push({ path: group, message: "must be a mapping" });
+      continue;
+    }
+
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const fieldPath = `${group}.${key}`;
+
+      if (fieldPath === "prompt.sections") {
+        errors.push(...validatePromptSections(fieldValue));
+        continue;
+      }
+
+      const rule = FIELD_RULES[fieldPath];
+      if (!rule) {
+        errors.push({ path: fieldPath, message: "unknown field" });
+      } else if (!rule[0](fieldValue)) {
+        errors.push({ path: fieldPath, message: `must be ${rule[1]}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+function validatePromptSections(sections) {
+  if (!isPlainObject(sections)) return [{ path: "prompt.sections", message: "must be a mapping" }];
+
+  return Object.entries(sections).flatMap(([name, text]) => {
+    if (!PROMPT_SECTIONS.includes(name)) {
+      return [{ path: `prompt.sections.${name}`, message: `unknown section; expected one of ${PROMPT_SECTIONS.join(", ")}` }];
+    }
+    return isNonEmptyString(text) ? [] : [{ path: `prompt.sections.${name}`, message: "must be a non-empty string" }];
+  });
+}
+
+function mergeWithDefaults(config) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_CONFIG).map(([group, defaults]) => [
+      group,
+      isPlainObject(defaults) ? { ...defaults, ...(config[group] || {}) } : config[group] ?? defaults,
+    ])
+  );
+}
+
+/**
+ * Reads `.github/reviewer.config.yml` (or REVIEWER_CONFIG_PATH) and merges it
+ * with the defaults. A missing file means the defaults; an invalid one throws
+ * with the list of problems, so the workflow fails before calling the model.
+ */
+async function loadReviewerConfig(configPath = process.env.REVIEWER_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  let content;
+  try {
+    content = await fs.readFile(configPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return mergeWithDefaults({});
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(content);
+  } catch (err) {
+    throw new Error(`Invalid reviewer config ${configPath}: ${err.message}`);
+  }
+
+  const errors = validateReviewerConfig(parsed);
+  if (errors.length > 0) {
+    const problems = errors.map(({ path: fieldPath, message }) => `  - ${fieldPath}: ${message}`).join("\n");
+    throw new Error(`Invalid reviewer config ${configPath}:\n${problems}`);
+  }
+
+  return mergeWithDefaults(parsed);
+}
+
+function isIgnoredPath(config, filename) {
+  return config.review.ignoredPaths.some((glob) => globToRegExp(glob).test(filename));
+}
+
+/**
+ * Review event for a conclusion (`APPROVE`/`REQUEST_CHANGES`) under the
+ * configured policy. Reviews of the run author's own PR are downgraded to
+ * COMMENT unless `policy.selfReview` is KEEP.
+ */
+function resolveReviewEvent(config, conclusion, selfReview) {
+  if (selfReview && config.policy.selfReview === "COMMENT") return "COMMENT";
+  return conclusion === "REQUEST_CHANGES" ? config.policy.requestChanges : config.policy.approve;
+}
+
+export {
+  DEFAULT_CONFIG,
+  PROMPT_SECTIONS,
+  TONES,
+  isIgnoredPath,
+  loadReviewerConfig,
+  resolveReviewEvent,
+  validateReviewerConfig,
+};
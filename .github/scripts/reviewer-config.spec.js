@@ -0,0 +1,99 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { DEFAULT_CONFIG, loadReviewerConfig, resolveReviewEvent, validateReviewerConfig } from "./reviewer-config.js";
+
+describe("reviewer-config", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewer-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(content) {
+    const configPath = path.join(tmpDir, "reviewer.config.yml");
+    fs.writeFileSync(configPath, content);
+    return configPath;
+  }
+
+  it("uses the defaults when the file is missing", async () => {
+    assert.deepEqual(await loadReviewerConfig(path.join(tmpDir, "missing.yml")), DEFAULT_CONFIG);
+  });
+
+  it("accepts the config of the repository", async () => {
+    const config = await loadReviewerConfig();
+
+    assert.equal(config.version, 1);
+    assert.equal(config.review.maxPromptTokens, 60000);
+  });
+
+  it("keeps the defaults of the fields a section leaves out", async () => {
+    const config = await loadReviewerConfig(writeConfig("version: 1\nreview:\n  tone: formal\n"));
+
+    assert.equal(config.review.tone, "formal");
+    assert.equal(config.review.language, DEFAULT_CONFIG.review.language);
+    assert.deepEqual(config.policy, DEFAULT_CONFIG.policy);
+  });
+
+  it("reports unknown sections, fields and prompt sections", () => {
+    const errors = validateReviewerConfig({
+      version: 1,
+      reviews: {},
+      review: { tone: "informal", strictness: 3 },
+      prompt: { sections: { intro: "Hi" } },
+    });
+
+    assert.deepEqual(errors.map(({ path: fieldPath }) => fieldPath), ["reviews", "review.strictness", "prompt.sections.intro"]);
+    assert.match(errors[0].message, /unknown section; expected one of version, model, review/);
+    assert.equal(errors[1].message, "unknown field");
+  });
+
+  it("reports fields of the wrong type", () => {
+    const errors = validateReviewerConfig({
+      version: 2,
+      model: "gemini",
+      review: { maxComments: 0, contextPadding: "2", ignoredPaths: "docs/*" },
+      grading: { enabled: "yes", testsWeight: 1.5 },
+    });
+
+    assert.deepEqual(errors, [
+      { path: "version", message: "must be 1" },
+      { path: "model", message: "must be a mapping" },
+      { path: "review.maxComments", message: "must be a positive integer or null (no limit)" },
+      { path: "review.contextPadding", message: "must be a non-negative integer" },
+      { path: "review.ignoredPaths", message: "must be a list of path globs" },
+      { path: "grading.enabled", message: "must be true or false" },
+      { path: "grading.testsWeight", message: "must be a number from 0 to 1" },
+    ]);
+  });
+
+  it("fails with every problem of an invalid file", async () => {
+    const configPath = writeConfig("version: 1\nreview:\n  tone: rude\npolicy:\n  approve: MERGE\n");
+
+    await assert.rejects(loadReviewerConfig(configPath), (err) => {
+      assert.equal(err.message, [
+        `Invalid reviewer config ${configPath}:`,
+        "  - review.tone: must be one of informal, neutral, formal",
+        "  - policy.approve: must be APPROVE or COMMENT",
+      ].join("\n"));
+      return true;
+    });
+  });
+
+  it("fails on a file that is not YAML", async () => {
+    await assert.rejects(loadReviewerConfig(writeConfig("review: [unclosed\n")), /^Error: Invalid reviewer config .*/);
+  });
+
+  it("downgrades reviews of the run author's own PR unless the policy keeps them", () => {
+    assert.equal(resolveReviewEvent(DEFAULT_CONFIG, "APPROVE", true), "COMMENT");
+    assert.equal(resolveReviewEvent(DEFAULT_CONFIG, "REQUEST_CHANGES", false), "REQUEST_CHANGES");
+    const keep = { ...DEFAULT_CONFIG, policy: { ...DEFAULT_CONFIG.policy, selfReview: "KEEP" } };
+    assert.equal(resolveReviewEvent(keep, "APPROVE", true), "APPROVE");
+  });
+});
@@ -0,0 +1,347 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MODULE_ID_PATTERN } from "./module-registry.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const DEFAULT_MEMORY_DIR = path.join(ROOT_DIR, ".cache", "ai-reviewer-memory");
+const MAX_BODY_LENGTH = 300;
+const MAX_DIGEST_CATEGORIES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `category` values the model may set on a comment (see buildPrompt)
+const COMMENT_CATEGORIES = ["task", "quality", "naming", "algorithm", "errors", "tests", "style"];
+
+const CATEGORY_LABELS = {
+  task: "выполнение требований задачи",
+  quality: "читаемость кода",
+  naming: "именование",
+  algorithm: "алгоритм и логика",
+  errors: "обработка ошибок и граничных случаев",
+  tests: "тесты",
+  style: "оформление кода",
+  other: "прочее",
+  "eslint/no-console": "console в решении",
+  "eslint/no-debugger": "debugger в решении",
+  "eslint/camelcase": "camelCase в именах",
+  "contribution/commented-out-code": "закомментированный код",
+};
+
+const USAGE = `Usage: node .github/scripts/reviewer-memory.js <command> [options]
+
+Per-student history of review comments, stored as one JSON file per PR author
+in $REVIEWER_MEMORY_DIR (defaults to .cache/ai-reviewer-memory).
+
+Commands:
+  export [--login <login>] [--out <file>]   print the stored history as JSON
+  prune --older-than <days>                 drop entries older than the given number of days
+  prune --login <login>                     delete the history of one student
+  merge <base> <ours> <theirs>              merge two versions of a history file into <ours>
+                                            (the git merge driver of the reviewer store)`;
+
+/**
+ * @typedef {Object} MemoryEntry
+ * @property {number} pr             PR number the comment was posted in
+ * @property {string|null} module    module folder of the commented file
+ * @property {string} category       model comment category or the rule of an automatic check
+ * @property {string} path           commented file
+ * @property {string} body           comment text (truncated)
+ * @property {string} createdAt      ISO date
+ * @property {number|null} resolvedIn PR in which the category no longer came up
+ */
+
+function getMemoryDir() {
+  return process.env.REVIEWER_MEMORY_DIR ? path.resolve(process.env.REVIEWER_MEMORY_DIR) : DEFAULT_MEMORY_DIR;
+}
+
+function getMemoryPath(login, dir = getMemoryDir()) {
+  // GitHub logins are alphanumeric with dashes (bots add `[bot]`), keep the file name safe anyway
+  return path.join(dir, `${login.replace(/[^\w.-]/g, "_")}.json`);
+}
+
+async function loadStudentMemory(login, dir = getMemoryDir()) {
+  try {
+    return JSON.parse(await fs.readFile(getMemoryPath(login, dir), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { login, updatedAt: null, entries: [] };
+    throw err;
+  }
+}
+
+async function saveStudentMemory(memory, dir = getMemoryDir()) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(getMemoryPath(memory.login, dir), JSON.stringify(memory, null, 2));
+}
+
+function getModule(filePath) {
+  const [maybeModule] = filePath.split("/");
+  return MODULE_ID_PATTERN.test(maybeModule) ? maybeModule : null;
+}
+
+function normalizeCategory(category) {
+  return COMMENT_CATEGORIES.includes(category) ? category : "other";
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+/**
+ * Converts the automatic findings and the model comments of a review into
+ * memory entries. Findings keep their rule as the category.
+ */
+function toMemoryEntries(pr, findings, modelComments, now = new Date()) {
+  const createdAt = now.toISOString();
+  const fromFindings = findings.map(({ path: filePath, rule, message }) => ({
+    pr, module: getModule(filePath), category: rule, path: filePath, body: truncate(message, MAX_BODY_LENGTH),
+  }));
+  const fromComments = modelComments.map(({ filepath, category, comment }) => ({
+    pr, module: getModule(filepath), category: normalizeCategory(category), path: filepath,
+    body: truncate(comment || "", MAX_BODY_LENGTH),
+  }));
+
+  return [...fromFindings, ...fromComments].map((entry) => ({ ...entry, createdAt, resolvedIn: null }));
+}
+
+function groupEarlierEntries(memory, pr, filter = () => true) {
+  const groups = new Map();
+  memory.entries
+    .filter((entry) => entry.pr !== pr && filter(entry))
+    .forEach((entry) => {
+      const group = groups.get(entry.category) || { category: entry.category, entries: [], prs: new Set(), modules: new Set() };
+      group.entries.push(entry);
+      group.prs.add(entry.pr);
+      if (entry.module) group.modules.add(entry.module);
+      groups.set(entry.category, group);
+    });
+  return [...groups.values()];
+}
+
+/**
+ * Short digest of the student's issues from earlier PRs for the prompt,
+ * most frequent first. Empty string when there is no history.
+ */
+function buildHistoryDigest(memory, pr) {
+  const groups = groupEarlierEntries(memory, pr)
+    .filter((group) => group.entries.some((entry) => entry.resolvedIn === null))
+    .sort((a, b) => b.prs.size - a.prs.size || b.entries.length - a.entries.length)
+    .slice(0, MAX_DIGEST_CATEGORIES);
+
+  return groups
+    .map(({ category, entries, prs, modules }) => {
+      const label = CATEGORY_LABELS[category] || category;
+      const where = modules.size ? ` в ${[...modules].sort().join(", ")}` : "";
+      const example = truncate(entries[entries.length - 1].body, 150);
+      return `- ${label}: замечаний ${entries.length} в ${prs.size} PR${where}; последнее: «${example}»`;
+    })
+    .join("\n");
+}
+
+/**
+ * Categories raised in earlier PRs that did not come up in the current review.
+ * Only the entries of `reviewedPaths`, the files the review was given, count:
+ * an incremental review or a file of another task says nothing about them.
+ * Scope findings depend on the module, so their absence says nothing and they
+ * are left out. The returned categories are marked as resolved in `memory`.
+ */
+function resolveFixedIssues(memory, pr, currentCategories, reviewedPaths) {
+  const isReviewed = (entry) => reviewedPaths.has(entry.path);
+  const fixed = groupEarlierEntries(memory, pr, isReviewed).filter(({ category, entries }) => !category.startsWith("scope/")
+    && category !== "other"
+    && !currentCategories.has(category)
+    && entries.some((entry) => entry.resolvedIn === null));
+
+  const fixedCategories = new Set(fixed.map(({ category }) => category));
+  memory.entries.forEach((entry) => {
+    if (entry.pr !== pr && entry.resolvedIn === null && fixedCategories.has(entry.category) && isReviewed(entry)) {
+      entry.resolvedIn = pr;
+    }
+  });
+
+  return fixed.map(({ category, modules }) => ({ category, modules: [...modules].sort() }));
+}
+
+function formatFixedIssues(fixedIssues) {
+  if (fixedIssues.length === 0) return "";
+  const lines = fixedIssues.map(({ category, modules }) => {
+    const where = modules.length ? ` (было в ${modules.join(", ")})` : "";
+    return `- ${CATEGORY_LABELS[category] || category}${where}`;
+  });
+  return ["**Что стало лучше:** в прошлых PR были замечания на эти темы, а здесь их уже нет 👍", ...lines].join("\n");
+}
+
+/**
+ * Adds the entries of the current review; entries of an earlier run on the same
+ * PR with the same text are replaced so re-reviews do not inflate the counts.
+ */
+function recordReview(memory, entries, now = new Date()) {
+  const keys = new Set(entries.map((entry) => `${entry.pr}:${entry.category}:${entry.body}`));
+  memory.entries = [
+    ...memory.entries.filter((entry) => !keys.has(`${entry.pr}:${entry.category}:${entry.body}`)),
+    ...entries,
+  ];
+  memory.updatedAt = now.toISOString();
+  return memory;
+}
+
+function entryKey(entry) {
+  return `${entry.pr}:${entry.category}:${entry.path}:${entry.body}`;
+}
+
+/**
+ * Three-way merge of two versions of a student's history changed by concurrent
+ * runs: entries added on either side are kept, entries one side removed (prune)
+ * are dropped, and an entry resolved on either side stays resolved.
+ */
+function mergeStudentMemories(base, ours, theirs) {
+  const baseKeys = new Set((base?.entries || []).map(entryKey));
+  const theirEntries = new Map(theirs.entries.map((entry) => [entryKey(entry), entry]));
+  const ourKeys = new Set(ours.entries.map(entryKey));
+
+  const merged = ours.entries
+    .filter((entry) => theirEntries.has(entryKey(entry)) || !baseKeys.has(entryKey(entry)))
+    .map((entry) => {
+      const their = theirEntries.get(entryKey(entry));
+      if (!their) return entry;
+      const newer = Date.parse(their.createdAt) > Date.parse(entry.createdAt) ? their : entry;
+      return { ...newer, resolvedIn: entry.resolvedIn ?? their.resolvedIn };
+    });
+  const added = theirs.entries.filter((entry) => !ourKeys.has(entryKey(entry)) && !baseKeys.has(entryKey(entry)));
+
+  return {
+    login: ours.login,
+    updatedAt: [ours.updatedAt, theirs.updatedAt].filter(Boolean).sort().pop() || null,
+    entries: [...merged, ...added],
+  };
+}
+
+async function readMemoryFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    // git passes an empty base when both sides added the file
+    if (err.code === "ENOENT" || err instanceof SyntaxError) return null;
+    throw err;
+  }
+}
+
+async function mergeMemoryFiles(basePath, oursPath, theirsPath) {
+  const ours = await readMemoryFile(oursPath);
+  const theirs = await readMemoryFile(theirsPath);
+  if (!ours || !theirs) {
+    throw new Error(`Cannot merge ${oursPath}: both versions have to be review history files`);
+  }
+  const merged = mergeStudentMemories(await readMemoryFile(basePath), ours, theirs);
+  await fs.writeFile(oursPath, JSON.stringify(merged, null, 2));
+}
+
+async function listMemories(dir) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const memories = [];
+  for (const file of files.filter((name) => name.endsWith(".json")).sort()) {
+    memories.push(JSON.parse(await fs.readFile(path.join(dir, file), "utf8")));
+  }
+  return memories;
+}
+
+async function exportMemories(dir, { login, out }) {
+  const memories = login ? [await loadStudentMemory(login, dir)] : await listMemories(dir);
+  const json = JSON.stringify(memories, null, 2);
+
+  if (out) {
+    await fs.writeFile(out, json);
+    console.error(`Exported ${memories.length} student(s) to ${out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+async function pruneMemories(dir, { login, olderThanDays }) {
+  if (login) {
+    await fs.rm(getMemoryPath(login, dir), { force: true });
+    console.log(`Deleted the history of ${login}`);
+    return;
+  }
+
+  const cutoff = Date.now() - olderThanDays * DAY_MS;
+  let removed = 0;
+
+  for (const memory of await listMemories(dir)) {
+    const kept = memory.entries.filter((entry) => Date.parse(entry.createdAt) >= cutoff);
+    removed += memory.entries.length - kept.length;
+
+    if (kept.length === 0) {
+      await fs.rm(getMemoryPath(memory.login, dir), { force: true });
+    } else if (kept.length !== memory.entries.length) {
+      await saveStudentMemory({ ...memory, entries: kept }, dir);
+    }
+  }
+
+  console.log(`Removed ${removed} entr${removed === 1 ? "y" : "ies"} older than ${olderThanDays} day(s)`);
+}
+
+async function main(args) {
+  const [command] = args;
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const dir = getMemoryDir();
+
+  if (command === "export") {
+    await exportMemories(dir, { login: option("--login"), out: option("--out") });
+    return 0;
+  }
+
+  if (command === "prune") {
+    const login = option("--login");
+    const olderThanDays = Number(option("--older-than"));
+    if (!login && !(olderThanDays > 0)) {
+      console.error("prune needs --login <login> or --older-than <days>");
+      return 1;
+    }
+    await pruneMemories(dir, { login, olderThanDays });
+    return 0;
+  }
+
+  if (command === "merge") {
+    const [basePath, oursPath, theirsPath] = args.slice(1);
+    if (!basePath || !oursPath || !theirsPath) {
+      console.error("merge needs <base> <ours> <theirs>");
+      return 1;
+    }
+    await mergeMemoryFiles(basePath, oursPath, theirsPath);
+    return 0;
+  }
+
+  console.log(USAGE);
+  return command && command !== "--help" ? 1 : 0;
+}
+
+export {
+  COMMENT_CATEGORIES,
+  buildHistoryDigest,
+  formatFixedIssues,
+  loadStudentMemory,
+  mergeStudentMemories,
+  recordReview,
+  resolveFixedIssues,
+  saveStudentMemory,
+  toMemoryEntries,
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Reviewer memory command failed", error);
+      process.exit(1);
+    });
+}
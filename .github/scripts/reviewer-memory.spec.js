@@ -0,0 +1,57 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { mergeStudentMemories } from "./reviewer-memory.js";
+
+function entry(pr, category, extra = {}) {
+  return {
+    pr, module: "01-intro", category, path: "01-intro/1-sum/index.js", body: `${category} in #${pr}`,
+    createdAt: "2024-01-01T00:00:00.000Z", resolvedIn: null, ...extra,
+  };
+}
+
+function memory(entries, updatedAt = "2024-01-01T00:00:00.000Z") {
+  return { login: "student", updatedAt, entries };
+}
+
+describe("reviewer-memory", () => {
+  describe("mergeStudentMemories", () => {
+    it("keeps the entries added by both runs", () => {
+      const base = memory([entry(1, "naming")]);
+      const ours = memory([entry(1, "naming"), entry(2, "quality")], "2024-01-02T00:00:00.000Z");
+      const theirs = memory([entry(1, "naming"), entry(3, "errors")], "2024-01-03T00:00:00.000Z");
+
+      const merged = mergeStudentMemories(base, ours, theirs);
+
+      assert.deepEqual(merged.entries.map(({ pr }) => pr), [1, 2, 3]);
+      assert.equal(merged.updatedAt, "2024-01-03T00:00:00.000Z");
+    });
+
+    it("keeps an entry resolved on either side resolved", () => {
+      const base = memory([entry(1, "naming")]);
+      const ours = memory([entry(1, "naming"), entry(2, "quality")]);
+      const theirs = memory([entry(1, "naming", { resolvedIn: 3 })]);
+
+      assert.equal(mergeStudentMemories(base, ours, theirs).entries[0].resolvedIn, 3);
+    });
+
+    it("drops the entries pruned on one side", () => {
+      const base = memory([entry(1, "naming"), entry(2, "quality")]);
+      const ours = memory([entry(1, "naming"), entry(2, "quality"), entry(4, "style")]);
+      const theirs = memory([entry(2, "quality")]);
+
+      assert.deepEqual(mergeStudentMemories(base, ours, theirs).entries.map(({ pr }) => pr), [2, 4]);
+    });
+
+    it("merges two histories created without a common base", () => {
+      const ours = memory([entry(1, "naming")]);
+      const theirs = memory([entry(1, "naming", { createdAt: "2024-02-01T00:00:00.000Z" }), entry(2, "quality")]);
+
+      const merged = mergeStudentMemories(null, ours, theirs);
+
+      assert.deepEqual(merged.entries.map(({ pr, createdAt }) => [pr, createdAt]), [
+        [1, "2024-02-01T00:00:00.000Z"],
+        [2, "2024-01-01T00:00:00.000Z"],
+      ]);
+    });
+  });
+});
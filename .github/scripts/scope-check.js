@@ -0,0 +1,194 @@
+import { parse } from "acorn";
+import { fullAncestor } from "acorn-walk";
+import { findIntroducingModule } from "./module-registry.js";
+
+const TASK_SOLUTION_PATTERN = /^([0-9]{2}-[\w-]+)\/[^/]+\/index\.js$/;
+
+const FUNCTION_TYPES = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+// nodes that own `var` declarations
+const FUNCTION_SCOPE_TYPES = new Set(["Program", ...FUNCTION_TYPES]);
+// nodes that own `let`, `const`, class and function declarations
+const BLOCK_SCOPE_TYPES = new Set([
+  ...FUNCTION_SCOPE_TYPES, "BlockStatement", "StaticBlock", "ForStatement", "ForInStatement", "ForOfStatement", "SwitchStatement",
+]);
+
+function getPatternNames(pattern) {
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern.name];
+    case "ObjectPattern":
+      return pattern.properties.flatMap((property) => getPatternNames(property.type === "RestElement" ? property : property.value));
+    case "ArrayPattern":
+      return pattern.elements.filter(Boolean).flatMap(getPatternNames);
+    case "RestElement":
+      return getPatternNames(pattern.argument);
+    case "AssignmentPattern":
+      return getPatternNames(pattern.left);
+    default:
+      // member expressions of assignment patterns declare nothing
+      return [];
+  }
+}
+
+/**
+ * Names declared in the source: scope node -> set of names. Declarations are
+ * hoisted to their scope, so a name counts as bound in the whole scope.
+ */
+function collectBindings(ast) {
+  const bindings = new Map();
+  const bind = (scope, names) => {
+    if (!bindings.has(scope)) bindings.set(scope, new Set());
+    names.forEach((name) => bindings.get(scope).add(name));
+  };
+
+  fullAncestor(ast, (node, state, ancestors) => {
+    const enclosing = (types) => ancestors.slice(0, -1).reverse().find((ancestor) => types.has(ancestor.type));
+
+    if (node.type === "VariableDeclaration") {
+      const scope = enclosing(node.kind === "var" ? FUNCTION_SCOPE_TYPES : BLOCK_SCOPE_TYPES);
+      bind(scope, node.declarations.flatMap((declarator) => getPatternNames(declarator.id)));
+    } else if (node.type === "FunctionDeclaration" || node.type === "ClassDeclaration") {
+      if (node.id) bind(enclosing(BLOCK_SCOPE_TYPES), [node.id.name]);
+    } else if ((node.type === "FunctionExpression" || node.type === "ClassExpression") && node.id) {
+      // the name of a named expression is visible only inside it
+      bind(node, [node.id.name]);
+    } else if (node.type === "CatchClause" && node.param) {
+      bind(node, getPatternNames(node.param));
+    } else if (/^Import(Default|Namespace)?Specifier$/.test(node.type)) {
+      bind(ast, [node.local.name]);
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      bind(node, node.params.flatMap(getPatternNames));
+    }
+  });
+
+  return bindings;
+}
+
+/**
+ * A reference to a global the solution does not declare itself: `const
+ * history = []` or a `document` parameter is the student's own variable.
+ * Names in declaration position are not visited by the walker (patterns are
+ * walked with an override); property keys and member names are skipped here.
+ */
+function isGlobalReference(node, { ancestors, bindings }, names) {
+  if (node.type !== "Identifier" || !names.includes(node.name)) return false;
+
+  const parent = ancestors[ancestors.length - 2];
+  if (parent) {
+    if (parent.type === "MemberExpression" && parent.property === node && !parent.computed) return false;
+    if ((parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition")
+      && parent.key === node && !parent.computed && !parent.shorthand) return false;
+  }
+
+  return !ancestors.some((ancestor) => bindings.get(ancestor)?.has(node.name));
+}
+
+function isMemberProperty(node, names) {
+  return node.type === "MemberExpression"
+    && !node.computed
+    && node.property.type === "Identifier"
+    && names.includes(node.property.name);
+}
+
+/**
+ * Concept id -> predicate over an AST node and its context: `ancestors` from
+ * the root to the node and the `bindings` of collectBindings.
+ * The ids are the values used in the `Allowed`/`Forbidden` fields of modules.md.
+ */
+const CONCEPT_DETECTORS = {
+  classes: (node) => node.type === "ClassDeclaration" || node.type === "ClassExpression",
+  prototypes: (node) => isMemberProperty(node, ["prototype", "__proto__", "setPrototypeOf", "getPrototypeOf"]),
+  dom: (node, context) => isGlobalReference(node, context, ["document", "window", "HTMLElement", "Element", "Node"]),
+  timers: (node, context) => isGlobalReference(node, context, ["setTimeout", "setInterval", "requestAnimationFrame"]),
+  async: (node, context) => node.type === "AwaitExpression"
+    || (/Function/.test(node.type) && node.async)
+    || isGlobalReference(node, context, ["Promise"])
+    || isMemberProperty(node, ["then"]),
+  fetch: (node, context) => isGlobalReference(node, context, ["fetch", "XMLHttpRequest"]),
+  "dynamic-import": (node) => node.type === "ImportExpression",
+  forms: (node, context) => isGlobalReference(node, context, ["FormData"]),
+  history: (node, context) => isGlobalReference(node, context, ["history", "location"]),
+};
+
+const CONCEPT_LABELS = {
+  classes: "классы",
+  prototypes: "работа с прототипами",
+  dom: "DOM API",
+  timers: "таймеры",
+  async: "промисы и async/await",
+  fetch: "сетевые запросы (fetch/XHR)",
+  "dynamic-import": "динамический import()",
+  forms: "FormData",
+  history: "History API и location",
+};
+
+/**
+ * Returns the first usage of every forbidden concept in the source:
+ * `[{ concept, line, count }]`. Throws on syntax errors.
+ */
+function findConceptUsages(source, concepts) {
+  const ast = parse(source, { ecmaVersion: "latest", sourceType: "module", locations: true });
+  const bindings = collectBindings(ast);
+  const usages = new Map();
+
+  fullAncestor(ast, (node, state, ancestors) => {
+    for (const concept of concepts) {
+      const detector = CONCEPT_DETECTORS[concept];
+      if (!detector || !detector(node, { ancestors, bindings })) continue;
+
+      const usage = usages.get(concept);
+      if (usage) {
+        usage.count += 1;
+      } else {
+        usages.set(concept, { concept, line: node.loc.start.line, count: 1 });
+      }
+    }
+  });
+
+  return [...usages.values()];
+}
+
+/**
+ * Static pre-check of the changed task solutions against the `Forbidden`
+ * concepts of their module. Findings do not depend on the model and are
+ * posted as inline comments; they are also listed in the prompt.
+ */
+function runScopeChecks(changedFiles, fileContents, registry) {
+  const findings = [];
+
+  for (const file of changedFiles) {
+    const match = TASK_SOLUTION_PATTERN.exec(file.filename);
+    const lines = fileContents.get(file.filename);
+    if (!match || !lines) continue;
+
+    const moduleId = match[1];
+    const forbidden = registry[moduleId]?.forbidden || [];
+    if (forbidden.length === 0) continue;
+
+    let usages;
+    try {
+      usages = findConceptUsages(lines.join("\n"), forbidden);
+    } catch (err) {
+      console.warn(`Scope check skipped for ${file.filename}: ${err.message}`);
+      continue;
+    }
+
+    for (const { concept, line, count } of usages) {
+      const introducedIn = findIntroducingModule(registry, concept);
+      const where = introducedIn ? `это тема модуля ${introducedIn}` : "это выходит за рамки курса";
+      const more = count > 1 ? ` (всего мест: ${count})` : "";
+      findings.push({
+        path: file.filename,
+        line,
+        rule: `scope/${concept}`,
+        message: `Здесь используются ${CONCEPT_LABELS[concept] || concept}${more}, а ${where}. В модуле ${moduleId} задачу нужно решить без этого.`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+export { CONCEPT_DETECTORS, findConceptUsages, runScopeChecks };
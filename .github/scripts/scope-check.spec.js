@@ -0,0 +1,54 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { findConceptUsages } from "./scope-check.js";
+
+const concepts = (source, forbidden) => findConceptUsages(source, forbidden).map(({ concept }) => concept);
+
+describe("scope-check", () => {
+  describe("globals", () => {
+    it("reports references to the globals", () => {
+      assert.deepEqual(concepts("history.back();", ["history"]), ["history"]);
+      assert.deepEqual(concepts("document.querySelector('div');", ["dom"]), ["dom"]);
+      assert.deepEqual(concepts("const show = () => setTimeout(() => {}, 100);", ["timers"]), ["timers"]);
+    });
+
+    it("counts every reference", () => {
+      assert.deepEqual(findConceptUsages("location.reload();\nhistory.back();", ["history"]), [
+        { concept: "history", line: 1, count: 2 },
+      ]);
+    });
+
+    it("does not report a variable declared in the solution", () => {
+      assert.deepEqual(concepts("const history = [];\nhistory.push(1);", ["history"]), []);
+      assert.deepEqual(concepts("history.push(1);\nvar history = [];", ["history"]), []);
+      assert.deepEqual(concepts("const { location } = config;\nlocation.x;", ["history"]), []);
+    });
+
+    it("does not report parameters", () => {
+      assert.deepEqual(concepts("function go(location) { return location.href; }", ["history"]), []);
+      assert.deepEqual(concepts("const render = (document) => document.title;", ["dom"]), []);
+      assert.deepEqual(concepts("export default function (window, { Node }) { return window.x + Node; }", ["dom"]), []);
+      assert.deepEqual(concepts("try {} catch (document) { document.x; }", ["dom"]), []);
+    });
+
+    it("reports a global outside the scope that shadows it", () => {
+      assert.deepEqual(concepts("function f(window) { return window; }\nwindow.x;", ["dom"]), ["dom"]);
+      assert.deepEqual(concepts("{ const location = 1; }\nlocation.href;", ["history"]), ["history"]);
+    });
+
+    it("does not report property keys and member names", () => {
+      const source = "const state = { history: [], location: 1 };\nstate.history.push(state.location);";
+      assert.deepEqual(concepts(source, ["history"]), []);
+      assert.deepEqual(concepts("class Router { history() {} }", ["history"]), []);
+    });
+
+    it("reports shorthand properties", () => {
+      assert.deepEqual(concepts("const state = { history };", ["history"]), ["history"]);
+    });
+  });
+
+  it("reports syntax of the forbidden concepts", () => {
+    const source = "class A {}\nconst load = async () => await fetch('/');";
+    assert.deepEqual(concepts(source, ["classes", "async", "fetch"]).sort(), ["async", "classes", "fetch"]);
+  });
+});
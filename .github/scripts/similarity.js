@@ -0,0 +1,399 @@
+import { parse, tokenizer } from "acorn";
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MODULE_ID_PATTERN } from "./module-registry.js";
+import { loadReviewerConfig } from "./reviewer-config.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const PARSE_OPTIONS = { ecmaVersion: "latest", sourceType: "module" };
+// `<module>/<task>/index.js`, the folder scheme of detectTasks
+const SOLUTION_PATTERN = /^([0-9]{2}-[\w-]+\/[^/]+)\/index\.js$/;
+
+// winnowing parameters: fingerprints are hashes of KGRAM_SIZE tokens, one per WINDOW_SIZE k-grams
+const KGRAM_SIZE = 5;
+const WINDOW_SIZE = 4;
+// smaller subtrees (`a + b`, `x.y`) occur in every solution and say nothing
+const MIN_SUBTREE_SIZE = 4;
+// node fields that hold names and values rather than structure
+const SKIPPED_KEYS = new Set(["type", "start", "end", "loc", "range", "name", "value", "raw", "regex", "bigint"]);
+const LITERAL_TOKENS = ["string", "num", "template", "regexp"];
+
+const USAGE = `Usage: node .github/scripts/similarity.js <command> [options]
+
+Compares task solutions (<module>/<task>/index.js) by normalized tokens and
+AST shape with a corpus of earlier submissions, stored per task in the
+similarity.corpusDir of the reviewer config. The output is for mentors only.
+
+Commands:
+  add <dir> --student <login> [--pr <n>]   compare the solutions under <dir> and store them in the corpus
+  check <dir> --student <login>            compare the solutions under <dir> without storing them
+  report [--task <module/task>] [--out <file>]
+                                           pairs of stored solutions above the threshold, as Markdown
+
+Options:
+  --threshold <0..1>                       overrides similarity.threshold of the config`;
+
+/**
+ * @typedef {Object} Submission
+ * @property {string} student         PR author
+ * @property {number|null} pr         PR number, null for submissions added from a folder
+ * @property {string|null} sha        commit of the solution
+ * @property {string} submittedAt     ISO date
+ * @property {number} tokenCount      tokens of the solution that are not in the task template
+ * @property {string[]} tokens        winnowed token fingerprints
+ * @property {string[]} shape         hashes of the AST subtrees
+ */
+
+function hash(text) {
+  return createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+// identifiers and literal values are dropped, so renames and changed strings do not matter
+function normalizeTokens(source) {
+  const tokens = [];
+  for (const token of tokenizer(source, PARSE_OPTIONS)) {
+    const { label, keyword } = token.type;
+    if (keyword === "var" || keyword === "const" || (label === "name" && token.value === "let")) {
+      tokens.push("decl");
+    } else if (label === "name" || label === "privateId") {
+      tokens.push("id");
+    } else {
+      tokens.push(LITERAL_TOKENS.includes(label) ? label : label || keyword);
+    }
+  }
+  return tokens;
+}
+
+function tokenFingerprints(tokens) {
+  const kgrams = [];
+  for (let i = 0; i + KGRAM_SIZE <= tokens.length; i++) {
+    kgrams.push(hash(tokens.slice(i, i + KGRAM_SIZE).join(" ")));
+  }
+  if (kgrams.length <= WINDOW_SIZE) return new Set(kgrams);
+
+  // the smallest hash of every window, which keeps the fingerprints stable when code is moved around
+  const picked = new Set();
+  for (let i = 0; i + WINDOW_SIZE <= kgrams.length; i++) {
+    picked.add(kgrams.slice(i, i + WINDOW_SIZE).reduce((min, value) => (value < min ? value : min)));
+  }
+  return picked;
+}
+
+function isNode(value) {
+  return value !== null && typeof value === "object" && typeof value.type === "string";
+}
+
+function collectShapes(node, shapes) {
+  const children = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    for (const child of [].concat(value)) {
+      if (isNode(child)) children.push(collectShapes(child, shapes));
+    }
+  }
+
+  const label = node.operator ? `${node.type}:${node.operator}` : node.type;
+  const size = children.reduce((sum, child) => sum + child.size, 1);
+  const shape = { hash: hash(`${label}(${children.map((child) => child.hash).join(",")})`), size };
+  if (size >= MIN_SUBTREE_SIZE) shapes.add(shape.hash);
+  return shape;
+}
+
+function shapeFingerprints(source) {
+  const shapes = new Set();
+  collectShapes(parse(source, PARSE_OPTIONS), shapes);
+  return shapes;
+}
+
+/**
+ * Token and AST shape fingerprints of a solution. Fingerprints of the task
+ * template (the `index.js` the student started from) are removed, so the
+ * starter code does not make all solutions alike. Throws on syntax errors.
+ */
+function fingerprintSolution(source, templateSource = "") {
+  const tokens = normalizeTokens(source);
+  const fingerprint = { tokens: tokenFingerprints(tokens), shape: shapeFingerprints(source) };
+  let tokenCount = tokens.length;
+
+  if (templateSource.trim()) {
+    const templateTokens = normalizeTokens(templateSource);
+    tokenFingerprints(templateTokens).forEach((value) => fingerprint.tokens.delete(value));
+    shapeFingerprints(templateSource).forEach((value) => fingerprint.shape.delete(value));
+    tokenCount = Math.max(0, tokenCount - templateTokens.length);
+  }
+
+  return { tokenCount, tokens: [...fingerprint.tokens].sort(), shape: [...fingerprint.shape].sort() };
+}
+
+function jaccard(first, second) {
+  const set = new Set(first);
+  const shared = second.filter((value) => set.has(value)).length;
+  const union = set.size + second.length - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Similarity of two fingerprints from 0 to 1: `tokens` and `shape` are the
+ * Jaccard indexes of the two kinds of fingerprints, `score` is their mean.
+ */
+function compareFingerprints(first, second) {
+  const tokens = jaccard(first.tokens, second.tokens);
+  const shape = jaccard(first.shape, second.shape);
+  return { score: round((tokens + shape) / 2), tokens: round(tokens), shape: round(shape) };
+}
+
+/**
+ * Submissions of other students with a score at or above the threshold, most
+ * similar first. Solutions shorter than `minTokens` are too small to tell
+ * apart and are never matched.
+ */
+function findSimilarSubmissions(submission, submissions, { threshold, minTokens }) {
+  if (submission.tokenCount < minTokens) return [];
+
+  return submissions
+    .filter((other) => other.student !== submission.student && other.tokenCount >= minTokens)
+    .map((other) => ({
+      student: other.student,
+      pr: other.pr,
+      sha: other.sha,
+      submittedAt: other.submittedAt,
+      ...compareFingerprints(submission, other),
+    }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+function getCorpusPath(dir, task) {
+  return path.join(dir, `${task}.json`);
+}
+
+async function loadCorpus(dir, task) {
+  try {
+    return JSON.parse(await fs.readFile(getCorpusPath(dir, task), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { task, submissions: [] };
+    throw err;
+  }
+}
+
+async function saveCorpus(dir, corpus) {
+  const filePath = getCorpusPath(dir, corpus.task);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(corpus, null, 2));
+}
+
+async function listCorpusTasks(dir) {
+  let modules;
+  try {
+    modules = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const tasks = [];
+  for (const module of modules.filter((name) => MODULE_ID_PATTERN.test(name)).sort()) {
+    const files = await fs.readdir(path.join(dir, module));
+    tasks.push(...files.filter((name) => name.endsWith(".json")).sort().map((name) => `${module}/${name.slice(0, -5)}`));
+  }
+  return tasks;
+}
+
+// the starter `index.js` of the task in this checkout (the base branch in the workflow)
+async function readTemplate(task) {
+  try {
+    return await fs.readFile(path.join(ROOT_DIR, task, "index.js"), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return "";
+    throw err;
+  }
+}
+
+/**
+ * Task solutions among changed files: `[{ task, source }]`, read with
+ * `readFile` (the PR head or the working tree).
+ */
+async function collectSolutions(readFile, changedFiles) {
+  const solutions = [];
+  for (const file of changedFiles) {
+    const match = SOLUTION_PATTERN.exec(file.filename);
+    if (!match || file.status === "removed") continue;
+    solutions.push({ task: match[1], source: await readFile(file.filename) });
+  }
+  return solutions;
+}
+
+/**
+ * Compares every solution with the stored submissions of its task and, with
+ * `store`, saves it in place of the student's earlier submission of the task.
+ * Returns `[{ task, matches }]` for the tasks with matches above the threshold;
+ * solutions that do not parse are skipped.
+ */
+async function checkSolutions(solutions, { student, pr = null, sha = null, similarity, store = true }) {
+  const results = [];
+
+  for (const { task, source } of solutions) {
+    let fingerprint;
+    try {
+      fingerprint = fingerprintSolution(source, await readTemplate(task));
+    } catch (err) {
+      console.warn(`Skipping similarity check of ${task}: ${err.message}`);
+      continue;
+    }
+
+    const submission = { student, pr, sha, submittedAt: new Date().toISOString(), ...fingerprint };
+    const corpus = await loadCorpus(similarity.corpusDir, task);
+    const matches = findSimilarSubmissions(submission, corpus.submissions, similarity);
+    if (matches.length > 0) results.push({ task, student, pr, matches });
+
+    if (store) {
+      corpus.submissions = [...corpus.submissions.filter((other) => other.student !== student), submission];
+      await saveCorpus(similarity.corpusDir, corpus);
+    }
+  }
+
+  return results;
+}
+
+function describeSubmission({ student, pr }) {
+  return pr ? `${student} (PR #${pr})` : student;
+}
+
+/**
+ * Markdown table of `[{ task, student, pr, matches }]` for mentors; never
+ * posted to the PR.
+ */
+function formatSimilarityReport(results, title) {
+  const rows = results.flatMap((result) =>
+    result.matches.map(
+      (match) =>
+        `| ${result.task} | ${describeSubmission(result)} | ${describeSubmission(match)} | ${match.score.toFixed(2)} | ${match.tokens.toFixed(2)} | ${match.shape.toFixed(2)} |`
+    )
+  );
+
+  return [
+    `## ${title}`,
+    "",
+    rows.length === 0
+      ? "Совпадений выше порога нет."
+      : ["| Задача | Решение | Похоже на | Сходство | Токены | AST |", "| --- | --- | --- | --- | --- | --- |", ...rows].join("\n"),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Writes the mentor report of a PR to `<outputDir>/<login>/pr-<n>.md`.
+ * Returns the written path.
+ */
+async function writeSimilarityReport(results, { outputDir, student, pr, sha }) {
+  const filePath = path.join(outputDir, student || "unknown", `pr-${pr}.md`);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(
+    filePath,
+    formatSimilarityReport(results, `Похожие решения: PR #${pr} (${student}), ${String(sha).slice(0, 7)}`)
+  );
+  return filePath;
+}
+
+// every pair of stored submissions of a task above the threshold, each pair once
+function findSimilarPairs(corpus, similarity) {
+  return corpus.submissions.flatMap((submission, index) => {
+    const matches = findSimilarSubmissions(submission, corpus.submissions.slice(index + 1), similarity);
+    return matches.length > 0 ? [{ task: corpus.task, student: submission.student, pr: submission.pr, matches }] : [];
+  });
+}
+
+async function listSolutionFiles(dir) {
+  const files = [];
+  for (const module of (await fs.readdir(dir)).filter((name) => MODULE_ID_PATTERN.test(name)).sort()) {
+    const entries = await fs.readdir(path.join(dir, module), { withFileTypes: true });
+    for (const entry of entries.filter((item) => item.isDirectory())) {
+      const filename = `${module}/${entry.name}/index.js`;
+      try {
+        await fs.access(path.join(dir, filename));
+        files.push({ filename, status: "added" });
+      } catch {
+        // a task folder without a solution
+      }
+    }
+  }
+  return files;
+}
+
+async function main(args) {
+  const [command, dir] = args;
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const config = await loadReviewerConfig();
+  const threshold = option("--threshold") === undefined ? config.similarity.threshold : Number(option("--threshold"));
+  if (!(threshold >= 0 && threshold <= 1)) {
+    console.error("--threshold must be a number from 0 to 1");
+    return 1;
+  }
+  const similarity = { ...config.similarity, threshold };
+
+  if (command === "add" || command === "check") {
+    const student = option("--student");
+    if (!dir || !student) {
+      console.error(`${command} needs <dir> and --student <login>`);
+      return 1;
+    }
+
+    const readFile = (filename) => fs.readFile(path.join(dir, filename), "utf8");
+    const solutions = await collectSolutions(readFile, await listSolutionFiles(dir));
+    const pr = option("--pr") ? Number(option("--pr")) : null;
+    const results = await checkSolutions(solutions, { student, pr, similarity, store: command === "add" });
+
+    console.log(formatSimilarityReport(results, `Похожие решения: ${student}`));
+    console.error(`Compared ${solutions.length} solution(s)${command === "add" ? " and stored them in the corpus" : ""}`);
+    return 0;
+  }
+
+  if (command === "report") {
+    const task = option("--task");
+    const tasks = task ? [task] : await listCorpusTasks(similarity.corpusDir);
+    const results = [];
+    for (const name of tasks) {
+      results.push(...findSimilarPairs(await loadCorpus(similarity.corpusDir, name), similarity));
+    }
+
+    const report = formatSimilarityReport(results, `Похожие решения (порог ${threshold})`);
+    const out = option("--out");
+    if (out) {
+      await fs.writeFile(out, report);
+      console.error(`Wrote the report of ${tasks.length} task(s) to ${out}`);
+    } else {
+      console.log(report);
+    }
+    return 0;
+  }
+
+  console.log(USAGE);
+  return command && command !== "--help" ? 1 : 0;
+}
+
+export {
+  checkSolutions,
+  collectSolutions,
+  compareFingerprints,
+  findSimilarSubmissions,
+  fingerprintSolution,
+  formatSimilarityReport,
+  writeSimilarityReport,
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Similarity command failed", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,171 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { checkSolutions, compareFingerprints, findSimilarSubmissions, fingerprintSolution } from "./similarity.js";
+
+const SOLUTION = `export function uniq(arr = []) {
+  const seen = new Set();
+  const result = [];
+  for (const item of arr) {
+    if (!seen.has(item)) {
+      seen.add(item);
+      result.push(item);
+    }
+  }
+  return result;
+}
+`;
+
+// the same code with other names, strings and formatting
+const RENAMED = `export function uniq(values = []) {
+  const visited = new Set();
+  const unique = [];
+  for (const value of values) { if (!visited.has(value)) { visited.add(value); unique.push(value); } }
+  return unique;
+}
+`;
+
+const UNRELATED = `export function trimSymbols(string, size) {
+  if (size === undefined) return string;
+  let count = 0;
+  let previous = "";
+  return string.split("").filter((char) => {
+    count = char === previous ? count + 1 : 1;
+    previous = char;
+    return count <= size;
+  }).join("");
+}
+`;
+
+// the starter code of the task, which every solution keeps
+const TEMPLATE = `export function uniq(arr = []) {
+  const result = [];
+  return result;
+}
+`;
+
+const SIMILARITY = { threshold: 0.8, minTokens: 40 };
+
+function submission(student, source, template) {
+  return { student, pr: null, sha: null, submittedAt: "2024-01-01T00:00:00.000Z", ...fingerprintSolution(source, template) };
+}
+
+describe("similarity", () => {
+  describe("fingerprintSolution", () => {
+    it("winnows the normalized tokens and hashes the AST subtrees", () => {
+      const fingerprint = fingerprintSolution(SOLUTION);
+
+      assert.ok(fingerprint.tokenCount >= SIMILARITY.minTokens);
+      assert.ok(fingerprint.tokens.length > 0 && fingerprint.tokens.length < fingerprint.tokenCount);
+      assert.ok(fingerprint.shape.length > 0);
+      assert.deepEqual(fingerprint.tokens, [...fingerprint.tokens].sort());
+    });
+
+    it("leaves out the tokens and the subtrees of the task template", () => {
+      const full = fingerprintSolution(SOLUTION);
+      const own = fingerprintSolution(SOLUTION, TEMPLATE);
+
+      assert.ok(own.tokenCount < full.tokenCount);
+      assert.ok(own.tokens.every((value) => full.tokens.includes(value)));
+      assert.ok(own.tokens.length < full.tokens.length);
+      assert.deepEqual(fingerprintSolution(TEMPLATE, TEMPLATE), { tokenCount: 0, tokens: [], shape: [] });
+    });
+
+    it("throws on a solution that does not parse", () => {
+      assert.throws(() => fingerprintSolution("export function uniq( {"), SyntaxError);
+    });
+  });
+
+  describe("compareFingerprints", () => {
+    it("scores identical solutions as 1", () => {
+      assert.deepEqual(compareFingerprints(fingerprintSolution(SOLUTION), fingerprintSolution(SOLUTION)), {
+        score: 1, tokens: 1, shape: 1,
+      });
+    });
+
+    it("ignores renamed identifiers, changed literals and formatting", () => {
+      assert.deepEqual(compareFingerprints(fingerprintSolution(SOLUTION), fingerprintSolution(RENAMED)), {
+        score: 1, tokens: 1, shape: 1,
+      });
+    });
+
+    it("scores unrelated solutions far below the threshold", () => {
+      const { score, tokens, shape } = compareFingerprints(fingerprintSolution(SOLUTION), fingerprintSolution(UNRELATED));
+
+      assert.ok(score < 0.3, `score ${score}`);
+      assert.ok(tokens < 0.3 && shape < 0.3);
+    });
+  });
+
+  describe("findSimilarSubmissions", () => {
+    const corpus = [
+      submission("copier", RENAMED, TEMPLATE),
+      submission("other", UNRELATED, TEMPLATE),
+      submission("author", SOLUTION, TEMPLATE),
+    ];
+
+    it("reports other students at or above the threshold", () => {
+      const matches = findSimilarSubmissions(submission("author", SOLUTION, TEMPLATE), corpus, SIMILARITY);
+
+      assert.deepEqual(matches.map(({ student, score }) => [student, score]), [["copier", 1]]);
+    });
+
+    it("reports nothing when the threshold is above the score", () => {
+      const changed = submission("author", SOLUTION.replace("seen.add(item);", "seen.add(item);\n      console.log(seen.size);"), TEMPLATE);
+      const { score } = compareFingerprints(changed, corpus[0]);
+
+      assert.ok(score < 1);
+      assert.deepEqual(findSimilarSubmissions(changed, corpus, { ...SIMILARITY, threshold: score }).map(({ student }) => student), ["copier"]);
+      assert.deepEqual(findSimilarSubmissions(changed, corpus, { ...SIMILARITY, threshold: score + 0.01 }), []);
+    });
+
+    it("does not compare solutions shorter than minTokens", () => {
+      const short = submission("author", "export const uniq = (arr) => [...new Set(arr)];\n");
+      const copy = submission("copier", "export const uniq = (values) => [...new Set(values)];\n");
+
+      assert.ok(short.tokenCount < SIMILARITY.minTokens);
+      assert.equal(compareFingerprints(short, copy).score, 1);
+      assert.deepEqual(findSimilarSubmissions(short, [copy], SIMILARITY), []);
+    });
+  });
+
+  describe("checkSolutions", () => {
+    let corpusDir;
+
+    beforeEach(() => {
+      corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), "similarity-corpus-"));
+      mock.method(console, "warn", () => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(corpusDir, { recursive: true, force: true });
+      mock.restoreAll();
+    });
+
+    it("matches a later copy and keeps one submission per student", async () => {
+      const task = "99-spec/1-uniq";
+      const similarity = { ...SIMILARITY, corpusDir };
+
+      assert.deepEqual(await checkSolutions([{ task, source: SOLUTION }], { student: "author", pr: 1, similarity }), []);
+      await checkSolutions([{ task, source: SOLUTION }], { student: "author", pr: 2, similarity });
+      const results = await checkSolutions([{ task, source: RENAMED }], { student: "copier", pr: 3, similarity });
+
+      assert.deepEqual(results.map(({ task: matched, matches }) => [matched, matches.map(({ student, pr }) => [student, pr])]), [
+        [task, [["author", 2]]],
+      ]);
+      const { submissions } = JSON.parse(fs.readFileSync(path.join(corpusDir, `${task}.json`), "utf8"));
+      assert.deepEqual(submissions.map(({ student, pr }) => [student, pr]), [["author", 2], ["copier", 3]]);
+    });
+
+    it("skips a solution that does not parse", async () => {
+      const results = await checkSolutions(
+        [{ task: "99-spec/1-uniq", source: "export function uniq( {" }], { student: "author", similarity: { ...SIMILARITY, corpusDir } }
+      );
+
+      assert.deepEqual(results, []);
+      assert.equal(fs.existsSync(path.join(corpusDir, "99-spec")), false);
+    });
+  });
+});
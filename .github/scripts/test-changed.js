@@ -0,0 +1,129 @@
+import { execFile, spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { detectTasks } from "./module-registry.js";
+
+const execFileAsync = promisify(execFile);
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// changes to these files can affect every test, so the whole suite runs
+const SHARED_FILES = [
+  "package.json",
+  "package-lock.json",
+  "babel.config.js",
+  "jest.config.js",
+  "jest-environment.js",
+  "jest-json-reporter.js",
+  "jest-setup-files-after-env.js",
+];
+const SHARED_DIRS = ["fake-api/"];
+
+const USAGE = `Usage: node .github/scripts/test-changed.js [<base>[..<head>]] [-- <jest options>]
+
+Runs jest only for the tasks (<module>/<task>) touched by the change.
+Without a range, uncommitted and untracked files are compared with HEAD.
+<base>...<head> compares <head> with the merge base, like the diff of a PR.
+Falls back to the full suite when a shared file (${SHARED_FILES.join(", ")}) or a file
+in ${SHARED_DIRS.join(", ")} changes.`;
+
+async function git(args) {
+  const { stdout } = await execFileAsync("git", args, { cwd: ROOT_DIR, maxBuffer: 32 * 1024 * 1024 });
+  return stdout.split("\n").filter(Boolean);
+}
+
+/**
+ * Arguments of `git diff` for a range: `<base>..<head>` compares the two
+ * commits, `<base>...<head>` compares <head> with their merge base (a missing
+ * <head> is HEAD) and a lone <base> is compared with the working tree.
+ */
+function parseRange(range) {
+  const [, base, dots, head] = /^(.*?)(?:(\.{2,3})(.*))?$/.exec(range);
+  if (!base) throw new Error(`Invalid range "${range}"; expected <base>[..<head>] or <base>...<head>`);
+  if (dots === "...") return [`${base}...${head || "HEAD"}`];
+  return head ? [base, head] : [base];
+}
+
+async function getChangedPaths(range) {
+  if (range) {
+    return git(["diff", "--name-only", ...parseRange(range)]);
+  }
+
+  const tracked = await git(["diff", "--name-only", "HEAD"]);
+  const untracked = await git(["ls-files", "--others", "--exclude-standard"]);
+  return [...new Set([...tracked, ...untracked])];
+}
+
+async function isDirectory(relativePath) {
+  try {
+    return (await fs.stat(path.join(ROOT_DIR, relativePath))).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns `null` when the full suite has to run, otherwise the list of
+ * existing task folders touched by the changed paths.
+ */
+async function selectTasks(changedPaths) {
+  const isShared = (filePath) => SHARED_FILES.includes(filePath) || SHARED_DIRS.some((dir) => filePath.startsWith(dir));
+  if (changedPaths.some(isShared)) return null;
+
+  const tasks = detectTasks(changedPaths.map((filename) => ({ filename })));
+  const existing = [];
+  for (const task of tasks) {
+    if (await isDirectory(task)) existing.push(task);
+  }
+  return existing;
+}
+
+function runJest(patterns, jestArgs) {
+  return new Promise((resolve) => {
+    const child = spawn("npm", ["test", "--silent", "--", ...jestArgs, ...patterns], {
+      cwd: ROOT_DIR,
+      stdio: "inherit",
+    });
+    child.on("close", (code) => resolve(code ?? 1));
+  });
+}
+
+async function main(args) {
+  const separator = args.indexOf("--");
+  const jestArgs = separator !== -1 ? args.slice(separator + 1) : [];
+  const ownArgs = separator !== -1 ? args.slice(0, separator) : args;
+
+  if (ownArgs.includes("--help")) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const changedPaths = await getChangedPaths(ownArgs[0]);
+  const tasks = await selectTasks(changedPaths);
+
+  if (tasks === null) {
+    console.log("Shared test setup changed; running the full suite.");
+    return runJest([], jestArgs);
+  }
+
+  if (tasks.length === 0) {
+    console.log("No task changes detected; nothing to test.");
+    return 0;
+  }
+
+  console.log(`Running tests for: ${tasks.join(", ")}`);
+  // trailing slash keeps `1-sum` from matching `1-sum-v2`
+  return runJest(["--passWithNoTests", ...tasks.map((task) => `${task}/`)], jestArgs);
+}
+
+export { getChangedPaths, parseRange, selectTasks };
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("Changed tests run failed", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,101 @@
+import fs from "fs/promises";
+
+const MAX_LISTED_FAILURES = 20;
+
+/**
+ * Reads the CI JSON written by `jest-json-reporter.js`.
+ * Returns null when no report path is configured or the file is missing.
+ */
+async function loadTestReport(reportPath = process.env.JEST_REPORT_PATH) {
+  if (!reportPath) return null;
+
+  let raw;
+  try {
+    raw = await fs.readFile(reportPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      console.warn(`Test report ${reportPath} not found; reviewing without test results.`);
+      return null;
+    }
+    throw err;
+  }
+
+  const report = JSON.parse(raw);
+  if (!Array.isArray(report?.result?.jest)) {
+    throw new Error(`Test report ${reportPath} has no result.jest array`);
+  }
+  return report;
+}
+
+// reports written before `status` was added mark skipped tests as unsuccessful too
+function getTestStatus(test) {
+  if (test.status) return test.status;
+  return test.success ? "passed" : "failed";
+}
+
+/**
+ * Passed and failed tests of the report. With `tasks` (`01-intro/1-sum`), only
+ * the tests of those tasks count: the report may also hold other tasks (a run
+ * of the full suite) or the specs of the course tooling.
+ */
+function summarizeTestReport(report, tasks = null) {
+  const tests = report.result.jest.filter(
+    (test) => ["passed", "failed"].includes(getTestStatus(test)) && (!tasks || tasks.includes(test.task))
+  );
+  const failed = tests
+    .filter((test) => getTestStatus(test) === "failed")
+    .map((test) => ({
+      suite: test.suite || [],
+      description: test.description,
+      message: (test.failureMessages?.[0] || "").split("\n")[0],
+      location: test.location || null,
+    }));
+
+  return {
+    total: tests.length,
+    passed: tests.length - failed.length,
+    failed,
+  };
+}
+
+// `{ passed, total }` per task (`01-intro/1-sum`), skipped tests are not counted
+function summarizeTestsByTask(report) {
+  const byTask = new Map();
+
+  report.result.jest.forEach((test) => {
+    const status = getTestStatus(test);
+    if (!test.task || !["passed", "failed"].includes(status)) return;
+
+    const counts = byTask.get(test.task) || { passed: 0, total: 0 };
+    counts.total += 1;
+    if (status === "passed") counts.passed += 1;
+    byTask.set(test.task, counts);
+  });
+
+  return byTask;
+}
+
+function formatFailingTestsBody(summary) {
+  const lines = [
+    `**Сначала исправь падающие тесты.** Не прошло тестов: ${summary.failed.length} из ${summary.total}. Полное ревью будет после того, как все тесты станут зелёными.`,
+    "",
+  ];
+
+  summary.failed.slice(0, MAX_LISTED_FAILURES).forEach(({ suite, description, message, location }) => {
+    const where = location ? ` (${location})` : "";
+    const details = message ? `: ${message}` : "";
+    lines.push(`- \`${[...suite, description].join(" › ")}\`${where}${details}`);
+  });
+
+  if (summary.failed.length > MAX_LISTED_FAILURES) {
+    lines.push(`- …и ещё ${summary.failed.length - MAX_LISTED_FAILURES}`);
+  }
+
+  return lines.join("\n");
+}
+
+function formatTestStatus(summary) {
+  return `✅ Автотесты пройдены: ${summary.passed} из ${summary.total}.`;
+}
+
+export { formatFailingTestsBody, formatTestStatus, loadTestReport, summarizeTestReport, summarizeTestsByTask };
@@ -0,0 +1,41 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { summarizeTestReport } from "./test-report.js";
+
+const entry = (task, description, status, extra = {}) => ({ task, description, status, suite: [], ...extra });
+
+const report = {
+  result: {
+    jest: [
+      entry("01-intro/1-sum", "adds", "passed"),
+      entry("01-intro/1-sum", "subtracts", "failed", { failureMessages: ["Expected: 1\nReceived: 2"] }),
+      entry("01-intro/1-sum", "multiplies", "skipped"),
+      entry("02-basics/1-pow", "raises", "failed"),
+      entry(null, "reports every test", "passed"),
+    ],
+  },
+};
+
+describe("test-report", () => {
+  it("counts passed and failed tests of the whole report", () => {
+    const summary = summarizeTestReport(report);
+
+    assert.equal(summary.total, 4);
+    assert.equal(summary.passed, 2);
+    assert.deepEqual(summary.failed.map(({ description }) => description), ["subtracts", "raises"]);
+  });
+
+  it("counts only the tests of the given tasks", () => {
+    const summary = summarizeTestReport(report, ["01-intro/1-sum"]);
+
+    assert.deepEqual(summary, {
+      total: 2,
+      passed: 1,
+      failed: [{ suite: [], description: "subtracts", message: "Expected: 1", location: null }],
+    });
+  });
+
+  it("has nothing to count when the report has no tests of the tasks", () => {
+    assert.deepEqual(summarizeTestReport(report, ["03-objects/1-pick"]), { total: 0, passed: 0, failed: [] });
+  });
+});
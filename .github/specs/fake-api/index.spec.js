@@ -0,0 +1,93 @@
+import {BACKEND_URL, createFakeApi} from '@fake-api';
+
+const request = async (path, options) => {
+  const response = await fetch(`${BACKEND_URL}${path}`, options);
+  return {status: response.status, headers: response.headers, body: await response.json()};
+};
+
+describe('fake-api', () => {
+  const api = createFakeApi();
+
+  beforeEach(() => {
+    api.install();
+  });
+
+  afterEach(() => {
+    api.reset();
+    fetch.resetMocks();
+  });
+
+  describe('lists', () => {
+    it('should return a page with the total count of the filtered items', async () => {
+      const {status, headers, body} = await request('/api/rest/products?_start=2&_end=5');
+
+      expect(status).toEqual(200);
+      expect(body).toHaveLength(3);
+      expect(body[0].id).toEqual(api.db.products[2].id);
+      expect(headers.get('X-Total-Count')).toEqual(String(api.db.products.length));
+    });
+
+    it('should return an empty page past the end', async () => {
+      const {body, headers} = await request('/api/rest/products?_start=100&_end=130');
+
+      expect(body).toEqual([]);
+      expect(headers.get('X-Total-Count')).toEqual(String(api.db.products.length));
+    });
+
+    it('should filter the orders by the date range', async () => {
+      const {body} = await request('/api/rest/orders?from=2020-04-01T00:00:00.000Z&to=2020-04-08T00:00:00.000Z');
+
+      expect(body.length).toBeGreaterThan(0);
+      expect(body.every(order => order.createdAt < '2020-04-08')).toEqual(true);
+    });
+  });
+
+  describe('errors', () => {
+    it('should answer 404 to unknown routes and ids', async () => {
+      expect((await request('/api/rest/unknown')).status).toEqual(404);
+      expect(await request('/api/rest/products/missing')).toMatchObject({
+        status: 404,
+        body: {error: 'Product missing not found'},
+      });
+    });
+
+    it('should answer 400 to a product without a title', async () => {
+      const {status} = await request('/api/rest/products', {method: 'POST', body: JSON.stringify({price: 1})});
+
+      expect(status).toEqual(400);
+      expect(api.db.products).toHaveLength(12);
+    });
+
+    it('should fail the next request to a route with the given status', async () => {
+      api.failNext('GET /api/rest/products', {status: 503, body: {error: 'Down'}});
+
+      expect(await request('/api/rest/products')).toMatchObject({status: 503, body: {error: 'Down'}});
+      expect((await request('/api/rest/products')).status).toEqual(200);
+    });
+
+    it('should fail every request to a route until reset', async () => {
+      api.fail('/api/rest/categories');
+
+      expect((await request('/api/rest/categories')).status).toEqual(500);
+      expect((await request('/api/rest/categories', {method: 'POST'})).status).toEqual(500);
+
+      api.reset();
+      expect((await request('/api/rest/categories')).status).toEqual(200);
+    });
+
+    it('should reject the fetch on a network error', async () => {
+      api.failNext('GET /api/dashboard/orders', {networkError: true});
+
+      await expect(fetch(`${BACKEND_URL}/api/dashboard/orders`)).rejects.toThrow('Failed to fetch');
+      expect((await request('/api/dashboard/orders')).status).toEqual(200);
+    });
+  });
+
+  it('should log the requests with the parsed query and body', async () => {
+    await request('/api/rest/products?id=1&id=2', {method: 'PATCH', body: JSON.stringify({id: 'x', price: 5})});
+
+    expect(api.requestsTo('PATCH /api/rest/products')).toEqual([
+      expect.objectContaining({method: 'PATCH', query: {id: ['1', '2']}, body: {id: 'x', price: 5}}),
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import {filterByDateRange, filterItems, paginate, parseQuery, sortItems} from '../../../fake-api/query.js';
+
+const items = [
+  {id: 'a', title: 'Робот', price: 30, createdAt: '2020-04-01T10:00:00.000Z', subcategory: {id: 'x'}},
+  {id: 'b', title: 'арбуз', price: 10, createdAt: '2020-04-02T10:00:00.000Z', subcategory: {id: 'y'}},
+  {id: 'c', title: 'Вентилятор', price: 20, createdAt: '2020-04-03T10:00:00.000Z', subcategory: {id: 'x'}},
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('fake-api/query', () => {
+  describe('paginate', () => {
+    it('should return all items without bounds', () => {
+      expect(ids(paginate(items, {}))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should take _start and _end as strings of the query', () => {
+      expect(ids(paginate(items, {_start: '1', _end: '2'}))).toEqual(['b']);
+      expect(ids(paginate(items, {_start: '1'}))).toEqual(['b', 'c']);
+      expect(ids(paginate(items, {_end: '2'}))).toEqual(['a', 'b']);
+    });
+
+    it('should return an empty page past the end', () => {
+      expect(paginate(items, {_start: '3', _end: '30'})).toEqual([]);
+      expect(paginate(items, {_start: '10'})).toEqual([]);
+    });
+
+    it('should clamp _end to the number of items', () => {
+      expect(ids(paginate(items, {_start: '0', _end: '30'}))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should return an empty page when _end is not after _start', () => {
+      expect(paginate(items, {_start: '2', _end: '2'})).toEqual([]);
+      expect(paginate(items, {_start: '2', _end: '1'})).toEqual([]);
+    });
+  });
+
+  describe('filterItems', () => {
+    it('should match any of several values', () => {
+      expect(ids(filterItems(items, {id: ['a', 'c']}))).toEqual(['a', 'c']);
+    });
+
+    it('should compare numbers for _gte and _lte', () => {
+      expect(ids(filterItems(items, {'price_gte': '15', 'price_lte': '25'}))).toEqual(['c']);
+    });
+
+    it('should match substrings case-insensitively for _like', () => {
+      expect(ids(filterItems(items, {'title_like': 'РО'}))).toEqual(['a']);
+    });
+
+    it('should filter by nested fields and skip service params', () => {
+      expect(ids(filterItems(items, {'subcategory.id': 'x', _sort: 'title', _start: '0'}))).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('sortItems', () => {
+    it('should sort numbers and strings in both directions', () => {
+      expect(ids(sortItems(items, {_sort: 'price'}))).toEqual(['b', 'c', 'a']);
+      expect(ids(sortItems(items, {_sort: 'price', _order: 'desc'}))).toEqual(['a', 'c', 'b']);
+      expect(ids(sortItems(items, {_sort: 'title'}))).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should keep the order without _sort', () => {
+      expect(sortItems(items, {})).toBe(items);
+    });
+  });
+
+  it('should include both ends of the date range', () => {
+    const range = {from: '2020-04-02T10:00:00.000Z', to: '2020-04-03T10:00:00.000Z'};
+    expect(ids(filterByDateRange(items, range))).toEqual(['b', 'c']);
+    expect(ids(filterByDateRange(items, {to: '2020-04-01T10:00:00.000Z'}))).toEqual(['a']);
+  });
+
+  it('should turn repeated params into arrays', () => {
+    expect(parseQuery(new URLSearchParams('id=a&id=b&_sort=title'))).toEqual({id: ['a', 'b'], _sort: 'title'});
+  });
+});
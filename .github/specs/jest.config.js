@@ -0,0 +1,13 @@
+const path = require('path');
+
+// specs of the course tooling that need the jest setup of the course tests (babel, jsdom, fetch mock).
+// They run with `npm run test:tooling`, outside `npm test`, so they never show up in a student's test report
+module.exports = {
+  rootDir: path.resolve(__dirname, '../..'),
+  roots: ['<rootDir>/.github/specs'],
+  testEnvironment: './jest-environment.js',
+  setupFilesAfterEnv: ['./jest-setup-files-after-env.js'],
+  moduleNameMapper: {
+    '^@fake-api$': '<rootDir>/fake-api/index.js',
+  },
+};
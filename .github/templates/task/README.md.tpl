@@ -0,0 +1,7 @@
+# {{title}}
+
+Опишите условие задачи и приведите примеры:
+
+```js
+{{exportName}}(value);
+```
@@ -0,0 +1,9 @@
+/**
+ * {{title}}
+ *
+ * @param {*} value describe the parameter
+ * @returns {*}
+ */
+export const {{exportName}} = (value) => {
+
+};
@@ -0,0 +1,7 @@
+import { {{exportName}} } from './index.js';
+
+describe('{{describeName}}', () => {
+  it('should be a function', () => {
+    expect(typeof {{exportName}}).toEqual('function');
+  });
+});
@@ -0,0 +1,246 @@
+import products from './fixtures/products.json';
+import categories from './fixtures/categories.json';
+import orders from './fixtures/orders.json';
+import {filterByDateRange, filterItems, paginate, parseQuery, sortItems} from './query.js';
+
+export const BACKEND_URL = 'https://course-js.javascript.ru';
+
+const JSON_HEADERS = {'Content-Type': 'application/json'};
+
+function createDb() {
+  return JSON.parse(JSON.stringify({products, categories, orders}));
+}
+
+function json(body, status = 200, headers = {}) {
+  return {status, headers: {...JSON_HEADERS, ...headers}, body: JSON.stringify(body)};
+}
+
+function notFound(message = 'Not found') {
+  return json({error: message}, 404);
+}
+
+function list(items, query) {
+  const filtered = sortItems(filterItems(items, query), query);
+  return json(paginate(filtered, query), 200, {'X-Total-Count': String(filtered.length)});
+}
+
+function findSubcategory(db, id) {
+  for (const category of db.categories) {
+    const subcategory = category.subcategories.find(item => item.id === id);
+
+    if (subcategory) {
+      const {subcategories, ...parent} = category;
+      return {...subcategory, category: parent};
+    }
+  }
+  return null;
+}
+
+// `_embed=subcategory.category` replaces the subcategory id with the subcategory and its category
+function embedProducts(db, items, {_embed}) {
+  if (!_embed || !_embed.startsWith('subcategory')) {
+    return items;
+  }
+
+  return items.map(product => {
+    const subcategory = findSubcategory(db, product.subcategory);
+
+    if (!subcategory) {
+      return product;
+    }
+
+    if (_embed !== 'subcategory.category') {
+      subcategory.category = subcategory.category.id;
+    }
+    return {...product, subcategory};
+  });
+}
+
+function countByDay(items, getValue) {
+  const days = {};
+
+  for (const item of items) {
+    const day = item.createdAt.slice(0, 10);
+    days[day] = getValue(days[day], item);
+  }
+
+  return Object.fromEntries(Object.keys(days).sort().map(day => [day, days[day].size ?? days[day]]));
+}
+
+const DASHBOARD_STATS = {
+  orders: (count = 0) => count + 1,
+  sales: (sum = 0, order) => sum + order.totalCost,
+  customers: (emails = new Set(), order) => emails.add(order.email),
+};
+
+const ROUTES = [
+  ['GET', /^\/api\/rest\/products$/, (db, {query}) => list(embedProducts(db, db.products, query), query)],
+  ['GET', /^\/api\/rest\/products\/([^/]+)$/, (db, {params: [id]}) => {
+    const product = db.products.find(item => item.id === id);
+    return product ? json(product) : notFound(`Product ${id} not found`);
+  }],
+  ['POST', /^\/api\/rest\/products$/, createProduct],
+  ['PUT', /^\/api\/rest\/products$/, createProduct],
+  ['PATCH', /^\/api\/rest\/products(?:\/([^/]+))?$/, (db, {params: [id], body}) => {
+    const productId = id || (body && body.id);
+    const product = db.products.find(item => item.id === productId);
+
+    if (!product) {
+      return notFound(`Product ${productId} not found`);
+    }
+
+    Object.assign(product, body, {id: product.id});
+    return json(product);
+  }],
+  ['GET', /^\/api\/rest\/categories$/, (db, {query}) => {
+    const items = query._refs === 'subcategory'
+      ? db.categories
+      : db.categories.map(({subcategories, ...category}) => category);
+    return list(items, query);
+  }],
+  ['GET', /^\/api\/rest\/orders$/, (db, {query}) => list(filterByDateRange(db.orders, query), query)],
+  ['GET', /^\/api\/dashboard\/(orders|sales|customers)$/, (db, {params: [stat], query}) => {
+    return json(countByDay(filterByDateRange(db.orders, query), DASHBOARD_STATS[stat]));
+  }],
+  ['GET', /^\/api\/dashboard\/bestsellers$/, (db, {query}) => {
+    const sold = new Set(filterByDateRange(db.orders, query).flatMap(order => order.products.map(item => item.product)));
+    const items = db.products.filter(product => sold.has(product.id));
+    return list(embedProducts(db, items, query), query);
+  }],
+];
+
+function createProduct(db, {body}) {
+  if (!body || typeof body !== 'object' || !body.title) {
+    return json({error: 'Product title is required'}, 400);
+  }
+
+  const id = body.id || `${db.products.length + 1}-product`;
+
+  if (db.products.some(item => item.id === id)) {
+    return json({error: `Product ${id} already exists`}, 409);
+  }
+
+  const product = {...body, id};
+  db.products.push(product);
+  return json(product, 201);
+}
+
+function parseBody(text) {
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // FormData and other non-JSON bodies are logged as is
+    return text;
+  }
+}
+
+// 'GET /api/rest/products' matches one method, '/api/rest/products' any of them
+function matchesRoute(route, {method, path}) {
+  const [routeMethod, routePath] = route.includes(' ') ? route.split(' ') : [null, route];
+  return (!routeMethod || routeMethod === method) && routePath === path;
+}
+
+/**
+ * In-process stand-in for the course backend (products, categories, orders
+ * and the dashboard) for tests of fetch-based tasks:
+ *
+ *   const api = createFakeApi().install();
+ *   api.failNext('GET /api/dashboard/orders', {status: 500});
+ *   expect(api.requests[0].query).toEqual({from: '…', to: '…'});
+ *
+ * `install()` routes the global `fetchMock` (jest-fetch-mock) to the fake API.
+ * `latency` (ms, or a function of the logged request) delays every response;
+ * with fake timers, advance them to get the response.
+ */
+export function createFakeApi({latency = 0, baseUrl = BACKEND_URL} = {}) {
+  let db = createDb();
+  let currentLatency = latency;
+  let failures = [];
+
+  const api = {
+    requests: [],
+
+    get db() {
+      return db;
+    },
+
+    async handle(request) {
+      const url = new URL(request.url, baseUrl);
+      const entry = {
+        method: request.method.toUpperCase(),
+        url: url.href,
+        path: url.pathname,
+        query: parseQuery(url.searchParams),
+        body: parseBody(await request.text()),
+      };
+      api.requests.push(entry);
+
+      const delay = typeof currentLatency === 'function' ? currentLatency(entry) : currentLatency;
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      const failure = failures.find(item => matchesRoute(item.route, entry));
+      if (failure) {
+        if (failure.once) {
+          failures = failures.filter(item => item !== failure);
+        }
+        if (failure.networkError) {
+          throw new TypeError('Failed to fetch');
+        }
+        return json(failure.body ?? {error: 'Internal Server Error'}, failure.status);
+      }
+
+      for (const [method, pattern, handler] of ROUTES) {
+        const match = method === entry.method && pattern.exec(entry.path);
+
+        if (match) {
+          return handler(db, {query: entry.query, body: entry.body, params: match.slice(1)});
+        }
+      }
+
+      return notFound(`No route for ${entry.method} ${entry.path}`);
+    },
+
+    install(fetchMock = global.fetch) {
+      fetchMock.mockResponse(request => api.handle(request));
+      return api;
+    },
+
+    // `{status, body}` is the error response; `{networkError: true}` rejects the fetch itself
+    fail(route, {status = 500, body, networkError = false} = {}) {
+      failures.push({route, status, body, networkError, once: false});
+      return api;
+    },
+
+    failNext(route, options = {}) {
+      api.fail(route, options);
+      failures[failures.length - 1].once = true;
+      return api;
+    },
+
+    setLatency(value) {
+      currentLatency = value;
+      return api;
+    },
+
+    requestsTo(route) {
+      return api.requests.filter(entry => matchesRoute(route, entry));
+    },
+
+    // back to the fixture data and the initial latency, without failures and logged requests
+    reset() {
+      db = createDb();
+      currentLatency = latency;
+      failures = [];
+      api.requests.length = 0;
+      return api;
+    },
+  };
+
+  return api;
+}
@@ -0,0 +1,91 @@
+// query helpers with the semantics of json-server, which the course backend is built on
+
+const SERVICE_PARAMS = ['_sort', '_order', '_start', '_end', '_embed', '_refs', 'from', 'to'];
+const RANGE_SUFFIXES = {
+  _gte: (value, bound) => value >= bound,
+  _lte: (value, bound) => value <= bound,
+  _ne: (value, bound) => value !== bound,
+};
+
+export function getValue(item, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+}
+
+// numbers in the query arrive as strings: compare them as numbers when the field is a number
+function castLike(sample, raw) {
+  return typeof sample === 'number' && raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+}
+
+/**
+ * `field=value` (any of several values), `field_gte`, `field_lte`, `field_ne`
+ * and `field_like` (case-insensitive substring); service params are skipped.
+ */
+export function filterItems(items, query) {
+  const filters = Object.keys(query).filter(key => !SERVICE_PARAMS.includes(key));
+
+  return items.filter(item => filters.every(key => {
+    const values = [].concat(query[key]);
+
+    if (key.endsWith('_like')) {
+      const value = String(getValue(item, key.slice(0, -5)) ?? '').toLowerCase();
+      return values.some(raw => value.includes(raw.toLowerCase()));
+    }
+
+    const suffix = Object.keys(RANGE_SUFFIXES).find(name => key.endsWith(name));
+    if (suffix) {
+      const value = getValue(item, key.slice(0, -suffix.length));
+      return values.every(raw => RANGE_SUFFIXES[suffix](value, castLike(value, raw)));
+    }
+
+    const value = getValue(item, key);
+    return values.some(raw => String(value) === raw);
+  }));
+}
+
+// `from`/`to` are ISO dates; the range includes both ends
+export function filterByDateRange(items, {from, to}, field = 'createdAt') {
+  const start = from ? new Date(from).getTime() : -Infinity;
+  const end = to ? new Date(to).getTime() : Infinity;
+
+  return items.filter(item => {
+    const time = new Date(item[field]).getTime();
+    return time >= start && time <= end;
+  });
+}
+
+export function sortItems(items, {_sort, _order = 'asc'}) {
+  if (!_sort) {
+    return items;
+  }
+
+  const direction = _order === 'desc' ? -1 : 1;
+
+  return [...items].sort((a, b) => {
+    const first = getValue(a, _sort);
+    const second = getValue(b, _sort);
+
+    if (typeof first === 'number' && typeof second === 'number') {
+      return direction * (first - second);
+    }
+
+    return direction * String(first ?? '').localeCompare(String(second ?? ''), ['ru', 'en'], {caseFirst: 'upper'});
+  });
+}
+
+export function paginate(items, {_start, _end}) {
+  const start = _start === undefined ? 0 : Number(_start);
+  const end = _end === undefined ? items.length : Number(_end);
+
+  return items.slice(start, end);
+}
+
+// URLSearchParams to a plain object; a repeated param becomes an array
+export function parseQuery(searchParams) {
+  const query = {};
+
+  for (const [key, value] of searchParams) {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  }
+
+  return query;
+}
@@ -0,0 +1,25 @@
+const JSDOMEnvironment = require('jest-environment-jsdom');
+
+// Test files get a sandboxed copy of `process`: listeners added there never fire,
+// and jest-jasmine2 replaces the real `unhandledRejection` listeners with one that fails
+// whichever test happens to be running. This environment lets jest-setup-files-after-env.js
+// take the real event over for the duration of a test file.
+class TestEnvironment extends JSDOMEnvironment {
+  constructor(config, context) {
+    super(config, context);
+
+    this.global.captureUnhandledRejections = (listener) => {
+      const previous = process.listeners('unhandledRejection');
+
+      process.removeAllListeners('unhandledRejection');
+      process.on('unhandledRejection', listener);
+
+      return () => {
+        process.removeListener('unhandledRejection', listener);
+        previous.forEach((handler) => process.on('unhandledRejection', handler));
+      };
+    };
+  }
+}
+
+module.exports = TestEnvironment;
@@ -1,27 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+
+const TASK_PATH_PATTERN = /^([0-9]{2}-[\w-]+)\/([^/]+)\//;
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+const MAX_FAILURE_MESSAGE_LENGTH = 1000;
+const SKIPPED_STATUSES = ['pending', 'skipped', 'disabled'];
+const HIDDEN_FILE_PREFIX = 'hidden/';
+
+function getTask(file) {
+  const taskPath = file.startsWith(HIDDEN_FILE_PREFIX) ? file.slice(HIDDEN_FILE_PREFIX.length) : file;
+  const match = TASK_PATH_PATTERN.exec(taskPath);
+  return match ? { module: match[1], task: `${match[1]}/${match[2]}` } : { module: null, task: null };
+}
+
+function normalizeStatus(status) {
+  return SKIPPED_STATUSES.includes(status) ? 'skipped' : status;
+}
+
+// drops colors and the stack trace, the location is reported separately
+function trimFailureMessage(message) {
+  const text = message.replace(ANSI_PATTERN, '');
+  const stackStart = text.search(/\n\s+at /);
+  const withoutStack = (stackStart === -1 ? text : text.slice(0, stackStart)).trim();
+
+  return withoutStack.length > MAX_FAILURE_MESSAGE_LENGTH
+    ? `${withoutStack.slice(0, MAX_FAILURE_MESSAGE_LENGTH)}…`
+    : withoutStack;
+}
+
+function findFailureLocation(messages, testFilePath, file) {
+  const escapedPath = testFilePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const framePattern = new RegExp(`${escapedPath}:(\\d+):(\\d+)`);
+
+  for (const message of messages) {
+    const frame = framePattern.exec(message);
+    if (frame) {
+      return `${file}:${frame[1]}:${frame[2]}`;
+    }
+  }
+
+  return null;
+}
+
+// reference tests from HIDDEN_TESTS_DIR are reported by title only, so their source does not leak into CI output
+function hideDetails(entry) {
+  if (entry.status !== 'failed') {
+    return { ...entry, hidden: true };
+  }
+
+  return {
+    ...entry,
+    hidden: true,
+    failureMessages: [`hidden check failed: ${entry.description}`],
+    location: null,
+  };
+}
+
+function getRelativeFile(testFilePath, rootDir, hiddenDir) {
+  const isHidden = Boolean(hiddenDir) && testFilePath.startsWith(`${hiddenDir}${path.sep}`);
+  const relative = path.relative(isHidden ? hiddenDir : rootDir, testFilePath).split(path.sep).join('/');
+
+  return { file: isHidden ? `${HIDDEN_FILE_PREFIX}${relative}` : relative, isHidden };
+}
+
+function toTestEntry(result, testCase, file) {
+  const status = normalizeStatus(result.status);
+  const entry = {
+    description: result.title,
+    success: status === 'passed',
+    status,
+    suite: result.ancestorTitles,
+    time: result.duration,
+    file,
+    ...getTask(file),
+  };
+
+  if (status === 'failed') {
+    entry.failureMessages = result.failureMessages.map(trimFailureMessage);
+    entry.location = findFailureLocation(result.failureMessages, testCase.testFilePath, file);
+  }
+
+  return entry;
+}
+
+// a suite that could not run (syntax error, failing import) has no test results at all
+function toSuiteErrorEntry(testCase, file) {
+  const message = testCase.failureMessage || (testCase.testExecError && testCase.testExecError.message) || '';
+
+  return {
+    description: 'Test suite failed to run',
+    success: false,
+    status: 'failed',
+    suite: [],
+    time: 0,
+    file,
+    ...getTask(file),
+    failureMessages: [trimFailureMessage(message)],
+    location: findFailureLocation([message], testCase.testFilePath, file),
+  };
+}
+
+// written by jest-setup-files-after-env.js, one file per test file with unhandled promise rejections
+function readRejectionWarnings(rootDir, hiddenDir) {
+  const dir = process.env.JEST_REJECTIONS_DIR;
+  if (!dir || !fs.existsSync(dir)) {
+    return [];
+  }
+
+  const warnings = [];
+  fs.readdirSync(dir).filter((name) => name.endsWith('.json')).forEach((name) => {
+    const filePath = path.join(dir, name);
+    const { testPath, rejections } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const { file } = getRelativeFile(testPath, rootDir, hiddenDir);
+    fs.unlinkSync(filePath);
+
+    // jest-setup-files-after-env.js has already made the paths in the message relative
+    rejections.forEach(({ test, message }) => {
+      warnings.push({ type: 'unhandled-rejection', file, ...getTask(file), test, message: trimFailureMessage(message) });
+    });
+  });
+
+  try {
+    fs.rmdirSync(dir);
+  } catch (err) {
+    // the directory was given in JEST_REJECTIONS_DIR and holds other files
+  }
+
+  return warnings;
+}
+
+// a warning belongs to the test that was running when the promise was rejected
+function attachWarnings(results, warnings) {
+  warnings.forEach((warning) => {
+    const entry = results.find((result) => result.file === warning.file
+      && [...result.suite, result.description].join(' ') === warning.test);
+
+    if (entry) {
+      entry.warnings = [...(entry.warnings || []), warning.message];
+    }
+  });
+}
+
+function summarizeTasks(results) {
+  const tasks = {};
+
+  results.forEach(({ task, status }) => {
+    if (!task) {
+      return;
+    }
+
+    tasks[task] = tasks[task] || { passed: 0, failed: 0, skipped: 0, todo: 0 };
+    tasks[task][status] = (tasks[task][status] || 0) + 1;
+  });
+
+  return tasks;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function buildJunitXml(results) {
+  const suites = new Map();
+  results.forEach((entry) => {
+    if (!suites.has(entry.file)) {
+      suites.set(entry.file, []);
+    }
+    suites.get(entry.file).push(entry);
+  });
+
+  const count = (entries, status) => entries.filter((entry) => entry.status === status).length;
+  const skippedCount = (entries) => count(entries, 'skipped') + count(entries, 'todo');
+  const totalTime = (entries) => entries.reduce((sum, entry) => sum + (entry.time || 0), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="jest tests" tests="${results.length}" failures="${count(results, 'failed')}" skipped="${skippedCount(results)}" time="${toSeconds(totalTime(results))}">`,
+  ];
+
+  suites.forEach((entries, file) => {
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${entries.length}" failures="${count(entries, 'failed')}" skipped="${skippedCount(entries)}" time="${toSeconds(totalTime(entries))}">`);
+
+    entries.forEach((entry) => {
+      const classname = escapeXml(entry.suite.join(' ') || entry.task || file);
+      lines.push(`    <testcase classname="${classname}" name="${escapeXml(entry.description)}" file="${escapeXml(file)}" time="${toSeconds(entry.time)}">`);
+
+      if (entry.status === 'failed') {
+        const [firstMessage = ''] = entry.failureMessages;
+        lines.push(`      <failure message="${escapeXml(firstMessage.split('\n')[0])}">${escapeXml(entry.failureMessages.join('\n\n'))}</failure>`);
+      } else if (entry.status === 'skipped' || entry.status === 'todo') {
+        lines.push('      <skipped/>');
+      }
+
+      if (entry.warnings) {
+        lines.push(`      <system-err>${escapeXml(entry.warnings.map((warning) => `Unhandled promise rejection: ${warning}`).join('\n'))}</system-err>`);
+      }
+
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
 function jsonReporter(report) {
   const results = [];
+  const rootDir = process.cwd();
+  const hiddenDir = process.env.HIDDEN_TESTS_DIR && path.resolve(process.env.HIDDEN_TESTS_DIR);
 
   report.testResults.forEach((testCase) => {
-    testCase.testResults.forEach((result) => {
-      results.push({
-        description: result.title,
-        success: result.status === 'passed',
-        suite: result.ancestorTitles,
-        time: result.duration,
-      });
-    });
+    const { file, isHidden } = getRelativeFile(testCase.testFilePath, rootDir, hiddenDir);
+    const entries = testCase.testResults.length === 0 && (testCase.failureMessage || testCase.testExecError)
+      ? [toSuiteErrorEntry(testCase, file)]
+      : testCase.testResults.map((result) => toTestEntry(result, testCase, file));
+
+    results.push(...(isHidden ? entries.map(hideDetails) : entries));
   });
 
+  const warnings = readRejectionWarnings(rootDir, hiddenDir);
+  attachWarnings(results, warnings);
+
+  const count = (status) => results.filter((entry) => entry.status === status).length;
+
   const ciReport = {
     result: {
       jest: results,
+      warnings,
     },
     summary: {
-      success: report.numPassedTestSuites,
-      failed: report.numFailedTestSuites,
+      total: results.length,
+      success: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      todo: count('todo'),
+      warnings: warnings.length,
+      suites: {
+        success: report.numPassedTestSuites,
+        failed: report.numFailedTestSuites,
+      },
+      tasks: summarizeTasks(results),
     },
   };
 
+  // JEST_REPORT_PATH keeps a copy of the report for the AI reviewer (CI artifact or local run),
+  // with a JUnit XML version next to it for dashboards
+  if (process.env.JEST_REPORT_PATH) {
+    const reportPath = process.env.JEST_REPORT_PATH;
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(ciReport, null, 2));
+    fs.writeFileSync(reportPath.replace(/(\.json)?$/, '.xml'), buildJunitXml(results));
+  }
+
   if (ciReport.summary.failed) {
     console.error(JSON.stringify(ciReport));
   } else {
@@ -1,9 +1,104 @@
 import '@testing-library/jest-dom';
 import fetchMock from 'jest-fetch-mock';
+import fs from 'fs';
+import path from 'path';
 
 fetchMock.enableMocks();
 
-process.on('unhandledRejection', (reason, promise) => {
-  // console.log('reason: ', reason, 'promise: ', promise);
-  /* Заглушка в node для window.addEventListener('unhandledrejection') */
+// JEST_STRICT_REJECTIONS=true fails a test that leaves an unhandled promise rejection behind
+// (a forgotten `await`, an uncaught fetch error); without it the rejection is only reported as a warning
+const STRICT_REJECTIONS = ['1', 'true'].includes(process.env.JEST_STRICT_REJECTIONS);
+// set by jest.config.js for jest-json-reporter.js
+const REJECTIONS_DIR = process.env.JEST_REJECTIONS_DIR;
+// this file sits in the rootDir of jest.config.js
+const ROOT_DIR = __dirname;
+const HIDDEN_TESTS_DIR = process.env.HIDDEN_TESTS_DIR && path.resolve(process.env.HIDDEN_TESTS_DIR);
+
+// taken before a test can switch to fake timers
+const realSetTimeout = setTimeout;
+
+const pending = [];
+const reported = [];
+
+// stack frames point to absolute paths on the CI machine; reference tests get the `hidden/` prefix of the report
+function toRelativePaths(text) {
+  const withoutHidden = HIDDEN_TESTS_DIR ? text.split(`${HIDDEN_TESTS_DIR}${path.sep}`).join('hidden/') : text;
+  return withoutHidden.split(`${ROOT_DIR}${path.sep}`).join('');
+}
+
+// the reason and the first stack frame, which usually points at the student's code
+function formatReason(reason) {
+  if (!reason || typeof reason !== 'object' || !('message' in reason)) {
+    return String(reason);
+  }
+
+  const frame = String(reason.stack || '').split('\n').find(line => line.trim().startsWith('at '));
+  return toRelativePaths(`${reason.name || 'Error'}: ${reason.message}${frame ? ` (${frame.trim()})` : ''}`);
+}
+
+function onUnhandledRejection(reason) {
+  pending.push({test: expect.getState().currentTestName || null, message: formatReason(reason)});
+}
+
+// rejections are reported once the microtask queue drains, so wait for one macrotask first
+function flushRejections() {
+  return new Promise(resolve => realSetTimeout(resolve, 0)).then(() => pending.splice(0));
+}
+
+let releaseRejections = null;
+
+// jest-environment.js provides the real event; the runner installs its own listener
+// when the tests start, so the handler is taken over here rather than at load time
+beforeAll(() => {
+  if (typeof global.captureUnhandledRejections === 'function') {
+    releaseRejections = global.captureUnhandledRejections(onUnhandledRejection);
+  }
+});
+
+function describeRejections(rejections) {
+  return rejections
+    .map(({test, message}) => `Unhandled promise rejection in "${test || 'outside of tests'}": ${message}`)
+    .join('\n');
+}
+
+afterEach(async () => {
+  const currentTest = expect.getState().currentTestName;
+  const rejections = await flushRejections();
+  reported.push(...rejections);
+
+  // a rejection from an earlier test that settled late is reported, but does not fail this one
+  const own = rejections.filter(({test}) => test === currentTest);
+  const late = rejections.filter(({test}) => test !== currentTest);
+
+  if (late.length > 0) {
+    console.warn(describeRejections(late));
+  }
+
+  if (own.length === 0) {
+    return;
+  }
+
+  if (STRICT_REJECTIONS) {
+    throw new Error(describeRejections(own));
+  }
+  console.warn(`${describeRejections(own)}\nRun with JEST_STRICT_REJECTIONS=true to fail the test.`);
+});
+
+afterAll(async () => {
+  const late = await flushRejections();
+  reported.push(...late);
+  if (releaseRejections) {
+    releaseRejections();
+  }
+
+  if (late.length > 0) {
+    console.warn(describeRejections(late));
+  }
+
+  if (REJECTIONS_DIR && reported.length > 0) {
+    const {testPath} = expect.getState();
+    const fileName = `${path.basename(testPath)}-${process.pid}-${Date.now()}.json`;
+    fs.mkdirSync(REJECTIONS_DIR, {recursive: true});
+    fs.writeFileSync(path.join(REJECTIONS_DIR, fileName), JSON.stringify({testPath, rejections: reported}));
+  }
 });
@@ -1,12 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const config = {
   verbose: true,
+  testEnvironment: './jest-environment.js',
   setupFilesAfterEnv: ['./jest-setup-files-after-env.js'],
   modulePathIgnorePatterns: [
     ".*__mocks__.*"
-  ]
+  ],
+  // the reviewer scripts are native ES modules with their own tests, which also cover the reporter and
+  // the setup file of this config: `npm test --prefix .github/scripts`
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/.github/'],
+  // lets reference tests outside the repository import solutions: `@tasks/01-intro/1-sum/index.js`
+  moduleNameMapper: {
+    '^@tasks/(.*)$': '<rootDir>/$1',
+    // shared fake backend for fetch-based tasks, see fake-api/index.js
+    '^@fake-api$': '<rootDir>/fake-api/index.js',
+  },
 };
 
+// HIDDEN_TESTS_DIR holds reference tests (<module>/<task>/*.test.js) that are not part of the student repository
+if (process.env.HIDDEN_TESTS_DIR) {
+  Object.assign(config, {
+    roots: ['<rootDir>', path.resolve(process.env.HIDDEN_TESTS_DIR)],
+    modulePaths: ['<rootDir>/node_modules'],
+  });
+}
+
 if (process.env.CI) {
+  // unhandled promise rejections collected by jest-setup-files-after-env.js, reported as warnings
+  process.env.JEST_REJECTIONS_DIR = process.env.JEST_REJECTIONS_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'jest-rejections-'));
+
   Object.assign(config, {
     testResultsProcessor:
       './jest-json-reporter.js',
@@ -0,0 +1,150 @@
+// elements that get keyboard focus without extra attributes
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  '[tabindex]',
+  '[contenteditable=""]',
+  '[contenteditable="true"]',
+].join(', ');
+const LABELLED_CONTROLS = 'input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]), select, textarea';
+const NAMED_CONTROLS = 'button, a[href], [role="button"], [role="link"]';
+const CLICK_EVENTS = ['click', 'pointerdown', 'pointerup', 'mousedown', 'mouseup'];
+
+const ARIA_ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader',
+  'combobox', 'complementary', 'contentinfo', 'definition', 'dialog', 'directory', 'document', 'feed', 'figure',
+  'form', 'grid', 'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
+  'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+  'none', 'note', 'option', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+  'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab',
+  'table', 'tablist', 'tabpanel', 'term', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+];
+
+// `div[data-element="header"]`, `span#total` or `img.sortable-table-image`: enough to find the node in the markup
+export function describeNode(node) {
+  const tag = node.tagName.toLowerCase();
+
+  if (node.dataset && node.dataset.element) {
+    return `${tag}[data-element="${node.dataset.element}"]`;
+  }
+  if (node.id) {
+    return `${tag}#${node.id}`;
+  }
+  return node.classList.length > 0 ? `${tag}.${node.classList[0]}` : tag;
+}
+
+function hasText(text) {
+  return Boolean(text && text.trim());
+}
+
+function labelledByText(node) {
+  const ids = (node.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  return ids
+    .map(id => node.ownerDocument.getElementById(id))
+    .filter(Boolean)
+    .map(label => label.textContent)
+    .join(' ');
+}
+
+function hasAccessibleName(node) {
+  const imageNames = [...node.querySelectorAll('img[alt]')].map(image => image.getAttribute('alt'));
+  return [node.getAttribute('aria-label'), labelledByText(node), node.textContent, node.getAttribute('title'), ...imageNames]
+    .some(hasText);
+}
+
+function hasLabel(node) {
+  if (hasText(node.getAttribute('aria-label')) || hasText(labelledByText(node)) || hasText(node.getAttribute('title'))) {
+    return true;
+  }
+  if (node.closest('label')) {
+    return true;
+  }
+  return Boolean(node.id) && [...node.ownerDocument.querySelectorAll('label')].some(label => label.htmlFor === node.id);
+}
+
+/**
+ * Listeners added while the tracker is installed: `active` holds the ones that
+ * were not removed, `restore()` puts the original methods back.
+ */
+export function trackListeners() {
+  const {addEventListener, removeEventListener} = EventTarget.prototype;
+  const active = [];
+  const isCapture = options => Boolean(options !== null && typeof options === 'object' ? options.capture : options);
+  const findIndex = (target, type, listener, options) => active.findIndex(entry => {
+    return entry.target === target && entry.type === type && entry.listener === listener && entry.capture === isCapture(options);
+  });
+
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    // `once` listeners remove themselves when they fire
+    if (listener && !(options && options.once) && findIndex(this, type, listener, options) === -1) {
+      active.push({target: this, type, listener, capture: isCapture(options)});
+    }
+    return addEventListener.call(this, type, listener, options);
+  };
+
+  EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    const index = findIndex(this, type, listener, options);
+
+    if (index !== -1) {
+      active.splice(index, 1);
+    }
+    return removeEventListener.call(this, type, listener, options);
+  };
+
+  return {
+    active,
+    restore() {
+      EventTarget.prototype.addEventListener = addEventListener;
+      EventTarget.prototype.removeEventListener = removeEventListener;
+    },
+  };
+}
+
+/**
+ * Basic accessibility audit of the rendered component: images without `alt`,
+ * buttons and links without a name, fields without a label, unknown roles,
+ * positive tabindex and click handlers on elements the keyboard cannot reach.
+ * Returns `[{rule, target, count}]`.
+ */
+export function auditAccessibility(element, listeners = []) {
+  const issues = new Map();
+  const report = (rule, node) => {
+    const target = describeNode(node);
+    const key = `${rule} ${target}`;
+    const issue = issues.get(key) || {rule, target, count: 0};
+    issue.count += 1;
+    issues.set(key, issue);
+  };
+
+  for (const node of [element, ...element.querySelectorAll('*')]) {
+    if (node.matches('img') && !node.hasAttribute('alt')) {
+      report('img-alt', node);
+    }
+    if (node.matches(NAMED_CONTROLS) && !hasAccessibleName(node)) {
+      report('control-name', node);
+    }
+    if (node.matches(LABELLED_CONTROLS) && !hasLabel(node)) {
+      report('input-label', node);
+    }
+    if (node.hasAttribute('role') && !node.getAttribute('role').split(/\s+/).some(role => ARIA_ROLES.includes(role))) {
+      report('role-invalid', node);
+    }
+    if (Number(node.getAttribute('tabindex')) > 0) {
+      report('tabindex-positive', node);
+    }
+  }
+
+  // a delegated handler is fine as long as there is something focusable inside
+  listeners
+    .filter(({target, type}) => CLICK_EVENTS.includes(type) && target.nodeType === 1 && element.contains(target))
+    .map(({target}) => target)
+    .filter((target, index, targets) => targets.indexOf(target) === index)
+    .filter(target => !target.matches(FOCUSABLE_SELECTOR) && !target.querySelector(FOCUSABLE_SELECTOR))
+    .forEach(target => report('clickable-focusable', target));
+
+  return [...issues.values()];
+}
@@ -0,0 +1,75 @@
+import products from '../fake-api/fixtures/products.json';
+
+// covers the orders of fake-api/fixtures/orders.json
+const range = {from: new Date('2020-04-06'), to: new Date('2020-05-06')};
+
+const sortableTableHeader = [
+  {
+    id: 'images',
+    title: 'Image',
+    sortable: false,
+    template: data => `<div class="sortable-table__cell"><img class="sortable-table-image" alt="Image" src="${data && data[0] ? data[0].url : ''}"></div>`
+  },
+  {id: 'title', title: 'Name', sortable: true, sortType: 'string'},
+  {id: 'quantity', title: 'Quantity', sortable: true, sortType: 'number'},
+  {id: 'price', title: 'Price', sortable: true, sortType: 'number'},
+  {id: 'sales', title: 'Sales', sortable: true, sortType: 'number'},
+];
+
+/**
+ * Props of the component tasks, by task folder without the number
+ * (`1-column-chart` -> `column-chart`). The components change their API from
+ * module to module, so `args` lists constructor arguments to try in order
+ * until one does not throw; fetch-based versions get their data from fake-api.
+ * `setup` puts the component into the state worth auditing; helper markup
+ * goes to `stage`, which is not checked for leftovers.
+ */
+export const FIXTURES = {
+  'column-chart': {
+    args: [[{
+      data: [12, 40, 28, 0, 33, 51, 7],
+      label: 'orders',
+      value: 344,
+      link: '#',
+      url: 'api/dashboard/orders',
+      range,
+    }]],
+  },
+  'notification': {
+    args: [['Данные сохранены', {duration: 2000, type: 'success'}]],
+    setup: ({component, container}) => {
+      if (typeof component.show === 'function') {
+        component.show(container);
+      }
+    },
+  },
+  'sortable-table': {
+    args: [
+      [sortableTableHeader, {data: products, sorted: {id: 'title', order: 'asc'}, url: 'api/rest/products'}],
+      [sortableTableHeader, products],
+    ],
+  },
+  'tooltip': {
+    args: [[]],
+    setup: ({component, stage}) => {
+      if (typeof component.initialize === 'function') {
+        component.initialize();
+      }
+      stage.innerHTML = '<div data-tooltip="Подсказка">Наведи на меня</div>';
+      stage.firstElementChild.dispatchEvent(new MouseEvent('pointerover', {bubbles: true}));
+    },
+  },
+  'double-slider': {
+    args: [[{min: 100, max: 200, formatValue: value => '$' + value, selected: {from: 120, to: 150}}]],
+  },
+  'range-picker': {
+    args: [[range]],
+    setup: ({component}) => {
+      const input = component.element && component.element.querySelector('[data-element="input"]');
+
+      if (input) {
+        input.dispatchEvent(new MouseEvent('click', {bubbles: true}));
+      }
+    },
+  },
+};
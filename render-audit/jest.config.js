@@ -0,0 +1,13 @@
+const path = require('path');
+
+// jest config of the render audit (runner.js); the tasks to render come from RENDER_AUDIT_TASKS
+module.exports = {
+  rootDir: path.resolve(__dirname, '..'),
+  roots: ['<rootDir>/render-audit'],
+  testMatch: ['<rootDir>/render-audit/runner.js'],
+  testEnvironment: '<rootDir>/jest-environment.js',
+  setupFilesAfterEnv: ['<rootDir>/jest-setup-files-after-env.js'],
+  moduleNameMapper: {
+    '^@fake-api$': '<rootDir>/fake-api/index.js',
+  },
+};
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import {createFakeApi} from '@fake-api';
+import {FIXTURES} from './fixtures.js';
+import {auditAccessibility, describeNode, trackListeners} from './audit.js';
+
+// run by .github/scripts/render-audit.js with render-audit/jest.config.js, not by `npm test`
+const TASKS = JSON.parse(process.env.RENDER_AUDIT_TASKS || '[]');
+const REPORT_PATH = process.env.RENDER_REPORT_PATH;
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// the markup goes into the reviewer prompt, so it is capped
+const MAX_HTML_LENGTH = 4000;
+// time for fetch-based components to get their data from fake-api
+const RENDER_WAIT_MS = 100;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function formatError(error) {
+  return error && error.message ? `${error.name || 'Error'}: ${error.message}` : String(error);
+}
+
+// the default export, otherwise the first exported class or function
+function findComponent(exports) {
+  if (typeof exports.default === 'function') {
+    return exports.default;
+  }
+  return Object.values(exports).find(value => typeof value === 'function') || null;
+}
+
+function construct(Component, variants) {
+  let lastError = null;
+
+  for (const args of variants) {
+    try {
+      return new Component(...args);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// the element itself is reported as not detached
+function findLeftovers(element, {container, stage, bodyBefore}) {
+  const added = [...document.body.children].filter(node => !bodyBefore.includes(node) && node !== container && node !== stage);
+  return [...container.children, ...added].filter(node => node !== element);
+}
+
+function findGlobalListeners(listeners) {
+  return listeners.active.filter(({target}) => target === document || target === window);
+}
+
+/**
+ * `remove()` has to take the element out of the document; `destroy()` has to
+ * do the same and also drop the listeners on document/window and the nodes
+ * the component added elsewhere. Returns `[{rule, detail}]`.
+ */
+function checkCleanup(component, element, context) {
+  const issues = [];
+
+  if (typeof component.remove === 'function') {
+    component.remove();
+    if (element.isConnected) {
+      issues.push({rule: 'remove-detach', detail: describeNode(element)});
+    }
+  }
+
+  if (typeof component.destroy !== 'function') {
+    issues.push({rule: 'no-destroy', detail: null});
+    return issues;
+  }
+
+  try {
+    component.destroy();
+  } catch (error) {
+    issues.push({rule: 'destroy-error', detail: formatError(error)});
+    return issues;
+  }
+
+  if (element.isConnected) {
+    issues.push({rule: 'destroy-detach', detail: describeNode(element)});
+  }
+
+  const listeners = findGlobalListeners(context.listeners)
+    .map(({target, type}) => `${target === document ? 'document' : 'window'}:${type}`);
+  if (listeners.length > 0) {
+    issues.push({rule: 'destroy-listeners', detail: [...new Set(listeners)].join(', ')});
+  }
+
+  const leftovers = findLeftovers(element, context);
+  if (leftovers.length > 0) {
+    issues.push({rule: 'destroy-nodes', detail: leftovers.map(describeNode).join(', ')});
+  }
+
+  return issues;
+}
+
+async function auditTask(task) {
+  const fixture = FIXTURES[path.basename(task).replace(/^\d+-/, '')] || null;
+  const result = {task, component: null, fixture: Boolean(fixture), status: 'rendered', error: null, html: '', htmlTruncated: false, a11y: [], cleanup: []};
+
+  const bodyBefore = [...document.body.children];
+  const stage = document.createElement('div');
+  const container = document.createElement('div');
+  document.body.append(stage, container);
+  const listeners = trackListeners();
+
+  try {
+    const Component = findComponent(await import(path.join(ROOT_DIR, task, 'index.js')));
+    if (!Component) {
+      return {...result, status: 'skipped', error: 'no exported class or function'};
+    }
+    result.component = Component.name || 'default';
+
+    const component = construct(Component, fixture ? fixture.args : [[]]);
+    await wait(RENDER_WAIT_MS);
+
+    // some components (the tooltip) create their element only in response to events
+    if (fixture && fixture.setup) {
+      fixture.setup({component, container, stage});
+      await wait(RENDER_WAIT_MS);
+    }
+
+    const {element} = component;
+    if (!element || element.nodeType !== 1) {
+      return {...result, status: 'error', error: 'component.element is not a DOM element'};
+    }
+    if (!element.isConnected) {
+      container.append(element);
+    }
+
+    result.html = element.outerHTML.slice(0, MAX_HTML_LENGTH);
+    result.htmlTruncated = element.outerHTML.length > MAX_HTML_LENGTH;
+    result.a11y = auditAccessibility(element, listeners.active);
+    result.cleanup = checkCleanup(component, element, {listeners, container, stage, bodyBefore});
+    return result;
+  } catch (error) {
+    return {...result, status: 'error', error: formatError(error)};
+  } finally {
+    listeners.restore();
+    // listeners the component left behind must not reach the next task
+    findGlobalListeners(listeners).forEach(({target, type, listener, capture}) => target.removeEventListener(type, listener, capture));
+    document.body.innerHTML = '';
+  }
+}
+
+describe('render audit', () => {
+  const api = createFakeApi();
+  const results = [];
+
+  beforeAll(() => {
+    api.install();
+  });
+
+  afterEach(() => {
+    api.reset();
+  });
+
+  afterAll(() => {
+    if (REPORT_PATH) {
+      fs.mkdirSync(path.dirname(REPORT_PATH), {recursive: true});
+      fs.writeFileSync(REPORT_PATH, JSON.stringify({version: 1, tasks: results}, null, 2));
+    }
+  });
+
+  // the audit never fails: problems are data for the reviewer
+  TASKS.forEach(task => {
+    it(task, async () => {
+      results.push(await auditTask(task));
+    });
+  });
+});